@@ -1,5 +1,50 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Only write lastUsedAt this often to avoid a database write per request
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Resolve the user and session behind an access token; returns null when the
+// token is invalid or its session has been revoked or has expired
+const authenticateToken = async (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sid) return null;
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      return null;
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) return null;
+
+    if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+      await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+    }
+
+    return { user, sessionId: session._id.toString() };
+  } catch (error) {
+    return null;
+  }
+};
+
+// What a suspended user is told when they try to use their account
+const describeSuspension = (suspension) => {
+  const message = suspension.permanent
+    ? 'Your account has been permanently suspended.'
+    : `Your account is suspended until ${suspension.until.toUTCString()}.`;
+  return suspension.reason ? `${message} Reason: ${suspension.reason}` : message;
+};
+
+const sendSuspended = (res, suspension) => {
+  return res.status(403).json({
+    success: false,
+    message: describeSuspension(suspension),
+    suspension
+  });
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -12,17 +57,22 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    const result = await authenticateToken(token);
     
-    if (!user) {
+    if (!result) {
       return res.status(401).json({ 
         success: false, 
         message: 'Token is not valid' 
       });
     }
 
-    req.user = user;
+    const suspension = result.user.getSuspension();
+    if (suspension) {
+      return sendSuspended(res, suspension);
+    }
+
+    req.user = result.user;
+    req.sessionId = result.sessionId;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -34,3 +84,6 @@ const auth = async (req, res, next) => {
 };
 
 module.exports = auth;
+module.exports.authenticateToken = authenticateToken;
+module.exports.describeSuspension = describeSuspension;
+module.exports.sendSuspended = sendSuspended;
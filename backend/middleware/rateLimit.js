@@ -0,0 +1,89 @@
+const { consume } = require('../utils/rateLimit');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Per-route limits. Signed-in requests are counted per user, everything
+// else per IP address. Policies sharing a name share one counter, so HTTP
+// and socket messages draw from the same allowance.
+const policies = {
+  login: { name: 'login', windowMs: 15 * MINUTE_MS, max: 20 },
+  twoFactorLogin: { name: 'twoFactorLogin', windowMs: 15 * MINUTE_MS, max: 10 },
+  register: { name: 'register', windowMs: HOUR_MS, max: 5 },
+  refresh: { name: 'refresh', windowMs: 15 * MINUTE_MS, max: 60 },
+  // Requests that send an email
+  accountEmail: { name: 'accountEmail', windowMs: HOUR_MS, max: 5 },
+  // Requests that redeem an emailed token
+  accountToken: { name: 'accountToken', windowMs: HOUR_MS, max: 10 },
+  // Account changes that ask for the current password again
+  passwordConfirm: { name: 'passwordConfirm', windowMs: 15 * MINUTE_MS, max: 10 },
+  createPost: { name: 'createPost', windowMs: MINUTE_MS, max: 10 },
+  comment: { name: 'comment', windowMs: MINUTE_MS, max: 30 },
+  upload: { name: 'upload', windowMs: 10 * MINUTE_MS, max: 30 },
+  report: { name: 'report', windowMs: HOUR_MS, max: 20 },
+  sendMessage: { name: 'sendMessage', windowMs: MINUTE_MS, max: 60 },
+  typing: { name: 'typing', windowMs: 10 * 1000, max: 30 }
+};
+
+// Socket events that are throttled, by event name
+const socketPolicies = {
+  sendMessage: policies.sendMessage,
+  typing: policies.typing,
+  stopTyping: policies.typing
+};
+
+const sendTooManyRequests = (res, retryAfterSeconds, message = 'Too many requests, please try again later') => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter: retryAfterSeconds
+  });
+};
+
+// Express middleware enforcing `policy`. Put it after `auth` on private
+// routes so the limit follows the user rather than their IP.
+const rateLimit = (policy) => async (req, res, next) => {
+  try {
+    const key = req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+    const { allowed, retryAfterSeconds } = await consume(policy, key);
+
+    if (!allowed) {
+      return sendTooManyRequests(res, retryAfterSeconds);
+    }
+    next();
+  } catch (error) {
+    // A failing store should not take the API down with it
+    console.error('Rate limit error:', error);
+    next();
+  }
+};
+
+// Socket.IO packet middleware (`socket.use`). Over-limit events are dropped;
+// if the client asked for an ack it gets a failure with `retryAfter`.
+const socketRateLimit = (socket) => async ([event, ...args], next) => {
+  const policy = socketPolicies[event];
+  if (!policy) return next();
+
+  try {
+    const { allowed, retryAfterSeconds } = await consume(policy, `user:${socket.user._id}`);
+    if (allowed) return next();
+
+    const ack = args[args.length - 1];
+    if (typeof ack === 'function') {
+      ack({
+        success: false,
+        message: 'You are doing that too often, please slow down',
+        retryAfter: retryAfterSeconds
+      });
+    }
+  } catch (error) {
+    console.error('Socket rate limit error:', error);
+    next();
+  }
+};
+
+module.exports = rateLimit;
+module.exports.policies = policies;
+module.exports.sendTooManyRequests = sendTooManyRequests;
+module.exports.socketRateLimit = socketRateLimit;
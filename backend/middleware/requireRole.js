@@ -0,0 +1,20 @@
+// Roles in increasing order of privilege; each role can do everything the
+// ones before it can
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Only let through users whose role is at least `minimumRole`. Use after
+// `auth`, which loads `req.user`.
+const requireRole = (minimumRole) => (req, res, next) => {
+  const userLevel = ROLES.indexOf(req.user?.role || 'user');
+
+  if (userLevel < ROLES.indexOf(minimumRole)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to do this'
+    });
+  }
+  next();
+};
+
+module.exports = requireRole;
+module.exports.ROLES = ROLES;
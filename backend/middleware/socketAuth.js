@@ -0,0 +1,36 @@
+const { authenticateToken, describeSuspension } = require('./auth');
+
+// Socket.IO handshake middleware: verifies the same JWT as the HTTP `auth`
+// middleware and pins the connection to that user and session
+const socketAuth = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token
+      || socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return next(new Error('No token, authorization denied'));
+    }
+
+    const result = await authenticateToken(token);
+
+    if (!result) {
+      return next(new Error('Token is not valid'));
+    }
+
+    const suspension = result.user.getSuspension();
+    if (suspension) {
+      const error = new Error(describeSuspension(suspension));
+      error.data = { suspension };
+      return next(error);
+    }
+
+    socket.user = result.user;
+    socket.sessionId = result.sessionId;
+    next();
+  } catch (error) {
+    console.error('Socket auth error:', error);
+    next(new Error('Token is not valid'));
+  }
+};
+
+module.exports = socketAuth;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Post = require('./Post');
+
+// A named group of the owner's friends ("Close friends", "Work") that a post
+// can be shown to, or hidden from
+const audienceListSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    maxlength: [50, 'List name cannot exceed 50 characters']
+  },
+  // Always friends of the owner; unfriending or blocking removes them
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+audienceListSchema.index({ owner: 1, name: 1 });
+
+// Take two users out of each other's lists once they stop being friends,
+// and out of the audiences copied from those lists onto posts
+audienceListSchema.statics.removeBetween = function(userId, otherId) {
+  return Promise.all([
+    this.updateMany({ owner: userId }, { $pull: { members: otherId } }),
+    this.updateMany({ owner: otherId }, { $pull: { members: userId } }),
+    Post.updateMany({ author: userId, audience: otherId }, { $pull: { audience: otherId } }),
+    Post.updateMany({ author: otherId, audience: userId }, { $pull: { audience: userId } })
+  ]);
+};
+
+// Copy the current members onto every post shared with this list, so posts
+// already made follow changes to it
+audienceListSchema.methods.syncPosts = function() {
+  return Post.updateMany({ audienceList: this._id }, { $set: { audience: this.members } });
+};
+
+// Ensure virtual fields are serialized
+audienceListSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('AudienceList', audienceListSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  avatar: {
+    type: String,
+    default: ''
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+conversationSchema.index({ members: 1, lastMessageAt: -1 });
+
+// Check whether a user belongs to the group
+conversationSchema.methods.isMember = function(userId) {
+  return this.members.some(member => member.toString() === userId.toString());
+};
+
+// Check whether a user can manage the group
+conversationSchema.methods.isAdmin = function(userId) {
+  return this.admins.some(admin => admin.toString() === userId.toString());
+};
+
+// Ensure virtual fields are serialized
+conversationSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Conversation', conversationSchema);
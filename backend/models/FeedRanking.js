@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// The ranked post ids behind one scroll through a viewer's "Top" feed.
+// Later pages read from here instead of ranking again, so posts can't move
+// between pages while their reactions and comments change.
+const feedRankingSchema = new mongoose.Schema({
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up rankings once they expire
+feedRankingSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('FeedRanking', feedRankingSchema);
@@ -1,20 +1,35 @@
 const mongoose = require('mongoose');
 
+// How long after sending a message its sender may still edit it
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
 const messageSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Set for one-to-one messages
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.conversation;
+    }
+  },
+  // Set for group messages
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
   },
+  // Optional when the message carries an attachment or was unsent
   content: {
     type: String,
-    required: [true, 'Message content is required'],
-    maxlength: [1000, 'Message cannot exceed 1000 characters']
+    required: [function() {
+      return !this.fileUrl && !this.isUnsent;
+    }, 'Message content is required'],
+    maxlength: [1000, 'Message cannot exceed 1000 characters'],
+    default: ''
   },
   messageType: {
     type: String,
@@ -25,13 +40,61 @@ const messageSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  filePublicId: {
+    type: String
+  },
+  fileName: {
+    type: String,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  fileSize: {
+    type: Number
+  },
+  mimeType: {
+    type: String
+  },
+  // Set once the receiver has a connected client to receive it
+  deliveredAt: {
+    type: Date
+  },
   isRead: {
     type: Boolean,
     default: false
   },
   readAt: {
     type: Date
-  }
+  },
+  // Group messages track read state per member
+  readBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Previous versions of the content, oldest first
+  editHistory: [{
+    content: {
+      type: String
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: {
+    type: Date
+  },
+  // Unsent messages are kept as tombstones with their content cleared
+  isUnsent: {
+    type: Boolean,
+    default: false
+  },
+  unsentAt: {
+    type: Date
+  },
+  // Users who deleted the message from their own view
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
 }, {
   timestamps: true
 });
@@ -39,6 +102,9 @@ const messageSchema = new mongoose.Schema({
 // Index for better query performance
 messageSchema.index({ sender: 1, receiver: 1, createdAt: -1 });
 messageSchema.index({ receiver: 1, isRead: 1 });
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+messageSchema.statics.editWindowMs = EDIT_WINDOW_MS;
 
 // Method to mark message as read
 messageSchema.methods.markAsRead = function() {
@@ -47,4 +113,32 @@ messageSchema.methods.markAsRead = function() {
   return this.save();
 };
 
+messageSchema.methods.canEdit = function() {
+  return !this.isUnsent && Date.now() - this.createdAt.getTime() <= EDIT_WINDOW_MS;
+};
+
+// Replace the message with a tombstone visible to every participant
+messageSchema.methods.unsend = function() {
+  this.isUnsent = true;
+  this.unsentAt = new Date();
+  this.content = '';
+  this.messageType = 'text';
+  this.fileUrl = '';
+  this.filePublicId = undefined;
+  this.fileName = undefined;
+  this.fileSize = undefined;
+  this.mimeType = undefined;
+  this.editHistory = [];
+  return this.save();
+};
+
+messageSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    // Only the requesting user's hidden state matters to clients
+    delete ret.deletedFor;
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Audit trail: one entry for every action a moderator or admin takes
+const moderationLogSchema = new mongoose.Schema({
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['assign', 'dismiss', 'remove_content', 'warn', 'suspend', 'unsuspend', 'resolve', 'change_role'],
+    required: true
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  targetType: {
+    type: String,
+    enum: ['post', 'comment', 'message', 'user']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Free-form context: the moderator's note, a suspension length, a new role
+  details: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ moderator: 1, createdAt: -1 });
+
+moderationLogSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
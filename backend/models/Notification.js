@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Left empty for `warning` notifications so the moderator stays anonymous;
+  // who sent it is only kept in the moderation log
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.type !== 'warning';
+    }
+  },
+  type: {
+    type: String,
+    enum: ['reaction', 'comment', 'reply', 'tag', 'tag_request', 'mention', 'share', 'friend_request', 'friend_accept', 'warning'],
+    required: true
+  },
+  // Text from a moderator for `warning` notifications
+  message: {
+    type: String
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+
+// Ensure virtual fields are serialized
+notificationSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A file uploaded through POST /api/messages/attachments that hasn't been
+// sent yet. Clients send back only its id, so the stored file details are
+// the ones the server got from Cloudinary. Fields match Message's.
+const pendingAttachmentSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  messageType: {
+    type: String,
+    enum: ['image', 'file'],
+    required: true
+  },
+  fileUrl: {
+    type: String,
+    required: true
+  },
+  filePublicId: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  fileSize: {
+    type: Number
+  },
+  mimeType: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+pendingAttachmentSchema.index({ uploader: 1 });
+
+pendingAttachmentSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PendingAttachment', pendingAttachmentSchema);
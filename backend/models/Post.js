@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 
+const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad', 'angry'];
+// `list` shows a post to the friends in an audience list; `friends_except`
+// shows it to every friend not in the list
+const PRIVACY_OPTIONS = ['public', 'friends', 'friends_except', 'list', 'private'];
+
 const postSchema = new mongoose.Schema({
   author: {
     type: mongoose.Schema.Types.ObjectId,
@@ -8,7 +13,8 @@ const postSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: [true, 'Post content is required'],
+    // Commentary on a share is optional
+    required: [function() { return !this.sharedPost; }, 'Post content is required'],
     maxlength: [2000, 'Post content cannot exceed 2000 characters']
   },
   images: [{
@@ -19,15 +25,46 @@ const postSchema = new mongoose.Schema({
     url: String,
     publicId: String
   }],
+  // Set on shares: the original post, never another share. If the original
+  // is deleted the share stays, showing that the content is unavailable.
+  sharedPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
   taggedUsers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  likes: [{
+  // Tags waiting for the tagged user's approval (see utils/tags.js)
+  pendingTags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // People who removed their tag or declined it; they can't be tagged in
+  // this post again
+  removedTags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Parsed from `content` on every save through the API (utils/textEntities.js)
+  hashtags: [{
+    type: String
+  }],
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // One reaction per user; replaces the old binary `likes` list
+  reactions: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    type: {
+      type: String,
+      enum: REACTION_TYPES,
+      default: 'like'
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -44,6 +81,18 @@ const postSchema = new mongoose.Schema({
       required: true,
       maxlength: [500, 'Comment cannot exceed 500 characters']
     },
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Comment being replied to; null for top-level comments
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    editedAt: {
+      type: Date
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -51,27 +100,216 @@ const postSchema = new mongoose.Schema({
   }],
   privacy: {
     type: String,
-    enum: ['public', 'friends', 'private'],
+    enum: PRIVACY_OPTIONS,
     default: 'friends'
-  }
+  },
+  // For `list` and `friends_except`: the list picked, and a copy of its
+  // members for queries. AudienceList keeps the copy in step when members
+  // are added or removed; once the list is deleted the post keeps the
+  // members it had last.
+  audienceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AudienceList'
+  },
+  audience: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set when the content or media was last changed
+  editedAt: {
+    type: Date
+  },
+  // Earlier versions, oldest first. Removed media is deleted from
+  // Cloudinary, so a revision only records how much media it had.
+  revisions: [{
+    content: String,
+    imageCount: {
+      type: Number,
+      default: 0
+    },
+    videoCount: {
+      type: Number,
+      default: 0
+    },
+    // When this version was posted
+    createdAt: {
+      type: Date,
+      required: true
+    }
+  }]
 }, {
   timestamps: true
 });
 
 // Index for better query performance
 postSchema.index({ author: 1, createdAt: -1 });
-postSchema.index({ 'likes.user': 1 });
+postSchema.index({ 'reactions.user': 1 });
+postSchema.index({ sharedPost: 1 }, { sparse: true });
+postSchema.index({ hashtags: 1, createdAt: -1 });
+postSchema.index({ taggedUsers: 1, createdAt: -1 });
+postSchema.index({ pendingTags: 1 });
+postSchema.index({ audience: 1 });
+
+postSchema.statics.reactionTypes = REACTION_TYPES;
+postSchema.statics.privacyOptions = PRIVACY_OPTIONS;
+
+// Virtual for total reaction count
+postSchema.virtual('reactionCount').get(function() {
+  return this.reactions.length;
+});
 
-// Virtual for like count
-postSchema.virtual('likeCount').get(function() {
-  return this.likes.length;
+// Virtual for per-type reaction counts
+postSchema.virtual('reactionCounts').get(function() {
+  const counts = Object.fromEntries(REACTION_TYPES.map(type => [type, 0]));
+  for (const reaction of this.reactions) {
+    counts[reaction.type] += 1;
+  }
+  return counts;
 });
 
+// Get the reaction type a user left, if any
+postSchema.methods.getReaction = function(userId) {
+  const reaction = this.reactions.find(r => r.user.toString() === userId.toString());
+  return reaction ? reaction.type : null;
+};
+
 // Virtual for comment count
 postSchema.virtual('commentCount').get(function() {
   return this.comments.length;
 });
 
+// Number of latest top-level comments included with each post in a feed
+const RECENT_COMMENTS_PREVIEW = 2;
+
+// Posts for a feed or profile without their comment and reaction arrays.
+// Each post carries its counts (shares and revisions included), the viewer's
+// own reaction and a short preview of recent comments, leaving out comments
+// by `hiddenUserIds`. A share's `sharedPost` is left as an id.
+postSchema.statics.findSummaries = async function(filter, { viewerId, hiddenUserIds = [], sort, limit, skip = 0 }) {
+  const viewer = new mongoose.Types.ObjectId(viewerId.toString());
+  const hidden = hiddenUserIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+  const reactions = { $ifNull: ['$reactions', []] };
+  const comments = { $ifNull: ['$comments', []] };
+
+  const posts = await this.aggregate([
+    { $match: filter },
+    { $sort: sort },
+    { $skip: skip },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: this.collection.name,
+        let: { postId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$sharedPost', '$$postId'] } } },
+          { $count: 'count' }
+        ],
+        as: 'shareStats'
+      }
+    },
+    {
+      $project: {
+        id: { $toString: '$_id' },
+        author: 1,
+        content: 1,
+        images: 1,
+        videos: 1,
+        taggedUsers: 1,
+        // Only the author sees who hasn't approved their tag yet
+        pendingTags: { $cond: [{ $eq: ['$author', viewer] }, { $ifNull: ['$pendingTags', []] }, '$$REMOVE'] },
+        hashtags: 1,
+        mentions: 1,
+        privacy: 1,
+        // Only the author sees which list a post targets; the member copy
+        // is never sent
+        audienceList: { $cond: [{ $eq: ['$author', viewer] }, '$audienceList', '$$REMOVE'] },
+        sharedPost: 1,
+        isShare: { $ne: [{ $ifNull: ['$sharedPost', null] }, null] },
+        createdAt: 1,
+        updatedAt: 1,
+        editedAt: 1,
+        revisionCount: { $size: { $ifNull: ['$revisions', []] } },
+        shareCount: { $ifNull: [{ $arrayElemAt: ['$shareStats.count', 0] }, 0] },
+        commentCount: { $size: comments },
+        reactionCount: { $size: reactions },
+        reactionCounts: Object.fromEntries(REACTION_TYPES.map(type => [type, {
+          $size: { $filter: { input: reactions, cond: { $eq: ['$$this.type', type] } } }
+        }])),
+        viewerReaction: {
+          $ifNull: [
+            {
+              $arrayElemAt: [
+                {
+                  $map: {
+                    input: { $filter: { input: reactions, cond: { $eq: ['$$this.user', viewer] } } },
+                    in: '$$this.type'
+                  }
+                },
+                0
+              ]
+            },
+            null
+          ]
+        },
+        recentComments: {
+          $slice: [
+            {
+              $filter: {
+                input: comments,
+                cond: {
+                  $and: [
+                    { $eq: [{ $ifNull: ['$$this.parent', null] }, null] },
+                    { $not: [{ $in: ['$$this.user', hidden] }] }
+                  ]
+                }
+              }
+            },
+            -RECENT_COMMENTS_PREVIEW
+          ]
+        }
+      }
+    }
+  ]);
+
+  return this.populate(posts, [
+    { path: 'author', select: 'firstName lastName profilePicture' },
+    { path: 'taggedUsers', select: 'firstName lastName profilePicture' },
+    { path: 'pendingTags', select: 'firstName lastName profilePicture' },
+    { path: 'audienceList', select: 'name' },
+    { path: 'mentions', select: 'firstName lastName' },
+    { path: 'recentComments.user', model: 'User', select: 'firstName lastName profilePicture' },
+    { path: 'recentComments.mentions', model: 'User', select: 'firstName lastName' }
+  ]);
+};
+
+// Keep the current content as a revision before an edit replaces it
+postSchema.methods.recordRevision = function() {
+  this.revisions.push({
+    content: this.content,
+    imageCount: this.images.length,
+    videoCount: this.videos.length,
+    createdAt: this.editedAt || this.createdAt
+  });
+  this.editedAt = new Date();
+};
+
+// Remove comments and every reply beneath them
+postSchema.methods.removeCommentThreads = function(rootIds) {
+  const ids = new Set(rootIds.map(id => id.toString()));
+  let added = true;
+  while (added) {
+    added = false;
+    for (const comment of this.comments) {
+      const id = comment._id.toString();
+      if (comment.parent && ids.has(comment.parent.toString()) && !ids.has(id)) {
+        ids.add(id);
+        added = true;
+      }
+    }
+  }
+  this.comments = this.comments.filter(comment => !ids.has(comment._id.toString()));
+};
+
 // Ensure virtual fields are serialized
 postSchema.set('toJSON', {
   virtuals: true,
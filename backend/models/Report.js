@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const REPORT_TARGET_TYPES = ['post', 'comment', 'message', 'user'];
+const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'nudity', 'violence', 'misinformation', 'other'];
+const REPORT_ACTIONS = ['none', 'remove_content', 'warn', 'suspend'];
+
+// A user's complaint about a post, comment, message or profile, worked
+// through by moderators from `open` to `resolved` or `dismissed`
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+  // Id of the post, comment, message or user being reported
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Post that holds a reported comment
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  // Whoever wrote the content (or the reported profile itself)
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copy of the content when it was reported, in case it changes or goes away
+  snapshot: {
+    type: String,
+    default: ''
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: [1000, 'Details cannot exceed 1000 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['open', 'reviewing', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: REPORT_ACTIONS
+    },
+    note: {
+      type: String,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    contentRemoved: {
+      type: Boolean,
+      default: false
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+reportSchema.index({ reporter: 1, targetType: 1, targetId: 1 });
+
+reportSchema.statics.targetTypes = REPORT_TARGET_TYPES;
+reportSchema.statics.reasons = REPORT_REASONS;
+reportSchema.statics.actions = REPORT_ACTIONS;
+
+reportSchema.methods.isOpen = function() {
+  return this.status === 'open' || this.status === 'reviewing';
+};
+
+reportSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Report', reportSchema);
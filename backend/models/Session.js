@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens carry the session id and are rejected
+// once the session is revoked; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only SHA-256 hashes of refresh tokens are stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token that was rotated out last, used to detect replays
+  previousRefreshTokenHash: {
+    type: String
+  },
+  rotatedAt: {
+    type: Date
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    delete ret.refreshTokenHash;
+    delete ret.previousRefreshTokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,6 +1,31 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Single-use tokens sent by email; only their hashes are stored
+const ACCOUNT_TOKENS = {
+  emailVerification: {
+    hashField: 'emailVerificationToken',
+    expiresField: 'emailVerificationExpires',
+    ttl: 24 * 60 * 60 * 1000
+  },
+  passwordReset: {
+    hashField: 'passwordResetToken',
+    expiresField: 'passwordResetExpires',
+    ttl: 60 * 60 * 1000
+  }
+};
+
+// Failed sign-ins allowed before the account locks; every further failure
+// doubles the lock, up to the cap
+const LOGIN_LOCKOUT = {
+  freeAttempts: 5,
+  baseMs: 60 * 1000,
+  maxMs: 60 * 60 * 1000
+};
+
+const hashAccountToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 const userSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -67,6 +92,40 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Moderators and admins can work the report queue; admins also manage roles
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Set by a moderator; the reason is shown to the user. A temporary
+  // suspension lapses by itself once `suspendedUntil` has passed.
+  suspendedUntil: {
+    type: Date
+  },
+  suspendedPermanently: {
+    type: Boolean,
+    default: false
+  },
+  suspensionReason: {
+    type: String,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+  },
+  // People this user never wants to see or hear from
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Friends whose posts are left out of this user's feed
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Tags from people who aren't friends wait for this user's approval
+  requireTagApproval: {
+    type: Boolean,
+    default: true
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -74,11 +133,63 @@ const userSchema = new mongoose.Schema({
   lastSeen: {
     type: Date,
     default: Date.now
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationToken: {
+    type: String
+  },
+  emailVerificationExpires: {
+    type: Date
+  },
+  passwordResetToken: {
+    type: String
+  },
+  passwordResetExpires: {
+    type: Date
+  },
+  // TOTP two-factor auth; the secret only becomes active once confirmed
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String
+  },
+  twoFactorPendingSecret: {
+    type: String
+  },
+  // Hashes of unused recovery codes
+  twoFactorRecoveryCodes: [{
+    type: String
+  }],
+  // Last TOTP time step accepted, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number
+  },
+  // Consecutive failed sign-ins and the resulting lock
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockoutUntil: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+// Index for account token lookups
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+// Index for finding who has blocked a user
+userSchema.index({ blockedUsers: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -97,6 +208,111 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Issue a fresh token for `purpose`, replacing any earlier one. The caller
+// saves the user and emails the returned plain token.
+userSchema.methods.createAccountToken = function(purpose) {
+  const { hashField, expiresField, ttl } = ACCOUNT_TOKENS[purpose];
+  const token = crypto.randomBytes(32).toString('hex');
+  this[hashField] = hashAccountToken(token);
+  this[expiresField] = new Date(Date.now() + ttl);
+  return token;
+};
+
+userSchema.methods.clearAccountToken = function(purpose) {
+  const { hashField, expiresField } = ACCOUNT_TOKENS[purpose];
+  this[hashField] = undefined;
+  this[expiresField] = undefined;
+};
+
+// Atomically use up an unexpired token for `purpose` and resolve to its
+// user, or to null. A token can only ever be consumed once.
+userSchema.statics.consumeAccountToken = function(purpose, token) {
+  const { hashField, expiresField } = ACCOUNT_TOKENS[purpose];
+  return this.findOneAndUpdate(
+    {
+      [hashField]: hashAccountToken(token),
+      [expiresField]: { $gt: new Date() }
+    },
+    { $unset: { [hashField]: 1, [expiresField]: 1 } },
+    { new: true }
+  );
+};
+
+// Milliseconds until the account can try to sign in again, or 0
+userSchema.methods.getLockoutRemaining = function() {
+  if (!this.lockoutUntil) return 0;
+  return Math.max(0, this.lockoutUntil.getTime() - Date.now());
+};
+
+// Count a failed password or 2FA code and lock the account once the free
+// attempts are used up
+userSchema.methods.recordFailedLogin = async function() {
+  const { failedLoginAttempts } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('failedLoginAttempts');
+
+  const overLimit = failedLoginAttempts - LOGIN_LOCKOUT.freeAttempts;
+  if (overLimit < 0) return;
+
+  const lockMs = Math.min(LOGIN_LOCKOUT.baseMs * 2 ** overLimit, LOGIN_LOCKOUT.maxMs);
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lockoutUntil: new Date(Date.now() + lockMs) }
+  );
+};
+
+userSchema.methods.clearLoginLockout = function() {
+  this.failedLoginAttempts = 0;
+  this.lockoutUntil = undefined;
+};
+
+// The account's current suspension as `{ permanent, until, reason }`, or
+// null when it is not suspended
+userSchema.methods.getSuspension = function() {
+  const isSuspended = this.suspendedPermanently ||
+    (this.suspendedUntil && this.suspendedUntil.getTime() > Date.now());
+  if (!isSuspended) return null;
+
+  return {
+    permanent: this.suspendedPermanently,
+    until: this.suspendedPermanently ? null : this.suspendedUntil,
+    reason: this.suspensionReason || ''
+  };
+};
+
+// Query condition matching accounts that are suspended right now
+userSchema.statics.suspendedCondition = function() {
+  return {
+    $or: [
+      { suspendedPermanently: true },
+      { suspendedUntil: { $gt: new Date() } }
+    ]
+  };
+};
+
+// Ids of everyone hidden from `userId` in either direction: people they
+// blocked and people who blocked them
+userSchema.statics.getBlockedIds = async function(userId) {
+  const [user, blockedBy] = await Promise.all([
+    this.findById(userId).select('blockedUsers'),
+    this.find({ blockedUsers: userId }).distinct('_id')
+  ]);
+  return [...(user ? user.blockedUsers : []), ...blockedBy];
+};
+
+// Whether either user has blocked the other
+userSchema.statics.isBlockedBetween = async function(userId, otherUserId) {
+  const count = await this.countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return count > 0;
+};
+
 // Get full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -107,6 +323,16 @@ userSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
     delete ret.password;
+    delete ret.emailVerificationToken;
+    delete ret.emailVerificationExpires;
+    delete ret.passwordResetToken;
+    delete ret.passwordResetExpires;
+    delete ret.twoFactorSecret;
+    delete ret.twoFactorPendingSecret;
+    delete ret.twoFactorRecoveryCodes;
+    delete ret.twoFactorLastUsedStep;
+    delete ret.failedLoginAttempts;
+    delete ret.lockoutUntil;
     delete ret.__v;
     return ret;
   }
@@ -0,0 +1,189 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const AudienceList = require('../models/AudienceList');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_LISTS = 50;
+
+// Load one of the current user's lists
+const loadList = async (req, res) => {
+  const list = mongoose.isValidObjectId(req.params.id) &&
+    await AudienceList.findOne({ _id: req.params.id, owner: req.user._id });
+
+  if (!list) {
+    res.status(404).json({
+      success: false,
+      message: 'Audience list not found'
+    });
+    return null;
+  }
+
+  return list;
+};
+
+// Check that every id is one of the current user's friends. Returns the
+// de-duplicated ids, or null if someone isn't a friend.
+const friendIds = (currentUser, members) => {
+  const ids = [...new Set(members.map(String))];
+  const friends = new Set(currentUser.friends.map(id => id.toString()));
+  return ids.every(id => friends.has(id)) ? ids : null;
+};
+
+const listValidators = (optional) => [
+  (optional ? body('name').optional() : body('name')).trim()
+    .notEmpty().withMessage('List name is required')
+    .isLength({ max: 50 }).withMessage('List name cannot exceed 50 characters'),
+  (optional ? body('members').optional() : body('members')).isArray().withMessage('Members must be a list')
+];
+
+// @route   GET /api/audience-lists
+// @desc    Get the current user's audience lists
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const lists = await AudienceList.find({ owner: req.user._id })
+      .sort({ name: 1 })
+      .populate('members', 'firstName lastName profilePicture');
+
+    res.json({
+      success: true,
+      lists
+    });
+  } catch (error) {
+    console.error('Get audience lists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/audience-lists
+// @desc    Create an audience list of friends
+// @access  Private
+router.post('/', auth, listValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const members = friendIds(req.user, req.body.members);
+    if (!members) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add friends to a list'
+      });
+    }
+
+    if (await AudienceList.countDocuments({ owner: req.user._id }) >= MAX_LISTS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have up to ${MAX_LISTS} lists`
+      });
+    }
+
+    const list = await AudienceList.create({
+      owner: req.user._id,
+      name: req.body.name,
+      members
+    });
+    await list.populate('members', 'firstName lastName profilePicture');
+
+    res.status(201).json({
+      success: true,
+      message: 'List created successfully',
+      list
+    });
+  } catch (error) {
+    console.error('Create audience list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/audience-lists/:id
+// @desc    Rename a list or replace its members. Posts already shared with
+//          the list follow the new members.
+// @access  Private (list owner)
+router.put('/:id', auth, listValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    if (req.body.members) {
+      const members = friendIds(req.user, req.body.members);
+      if (!members) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only add friends to a list'
+        });
+      }
+      list.members = members;
+    }
+    if (req.body.name !== undefined) {
+      list.name = req.body.name;
+    }
+
+    await list.save();
+    if (req.body.members) {
+      await list.syncPosts();
+    }
+    await list.populate('members', 'firstName lastName profilePicture');
+
+    res.json({
+      success: true,
+      message: 'List updated successfully',
+      list
+    });
+  } catch (error) {
+    console.error('Update audience list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/audience-lists/:id
+// @desc    Delete a list. Posts shared with it keep the members it had last.
+// @access  Private (list owner)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    await AudienceList.findByIdAndDelete(list._id);
+
+    res.json({
+      success: true,
+      message: 'List deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete audience list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,21 +2,101 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
+const { sendSuspended } = auth;
+const rateLimit = require('../middleware/rateLimit');
+const { policies, sendTooManyRequests } = rateLimit;
+const { createSession, rotateSession, revokeSessions } = require('../utils/sessions');
+const { sendVerificationEmail, sendPasswordResetEmail, sendEmailChangedNotice } = require('../utils/accountEmails');
+const { deleteUserAccount } = require('../utils/accountDeletion');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Record the visit, start a session for this device and send the tokens
+const completeLogin = async (req, res, userId) => {
+  // Online status is tracked by the socket connection; only record the visit
+  // here. A full sign-in also clears any failed attempts.
+  const updatedUser = await User.findByIdAndUpdate(
+    userId,
+    {
+      $set: { lastSeen: new Date(), failedLoginAttempts: 0 },
+      $unset: { lockoutUntil: 1 }
+    },
+    { new: true }
+  );
+
+  const { token, refreshToken } = await createSession(userId, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: updatedUser._id,
+      firstName: updatedUser.firstName,
+      lastName: updatedUser.lastName,
+      email: updatedUser.email,
+      profilePicture: updatedUser.profilePicture,
+      bio: updatedUser.bio,
+      isEmailVerified: updatedUser.isEmailVerified,
+      twoFactorEnabled: updatedUser.twoFactorEnabled,
+      role: updatedUser.role
+    }
   });
 };
 
+// Refuse a sign-in attempt while the account is locked after failures
+const sendLockedOut = (res, user) => {
+  const retryAfterSeconds = Math.ceil(user.getLockoutRemaining() / 1000);
+  const minutes = Math.ceil(retryAfterSeconds / 60);
+  return sendTooManyRequests(
+    res,
+    retryAfterSeconds,
+    `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+  );
+};
+
+// Check a TOTP code or a recovery code for a user with 2FA enabled. Both are
+// consumed atomically so neither can be used twice.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, twoFactorRecoveryCodes: codeHash },
+      { $pull: { twoFactorRecoveryCodes: codeHash } }
+    );
+    return !!updated;
+  }
+
+  const step = verifyCode(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+  if (step === null) return false;
+
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [
+        { twoFactorLastUsedStep: { $lt: step } },
+        { twoFactorLastUsedStep: null }
+      ]
+    },
+    { twoFactorLastUsedStep: step }
+  );
+  return !!updated;
+};
+
 // @route   POST /api/auth/register
 // @desc    Register user
 // @access  Public
-router.post('/register', [
+router.post('/register', rateLimit(policies.register), [
   body('firstName').trim().notEmpty().withMessage('First name is required'),
   body('lastName').trim().notEmpty().withMessage('Last name is required'),
   body('email').isEmail().withMessage('Please enter a valid email'),
@@ -51,21 +131,31 @@ router.post('/register', [
       password
     });
 
+    const verificationToken = user.createAccountToken('emailVerification');
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A mail outage should not block sign-up; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
-        profilePicture: user.profilePicture
+        profilePicture: user.profilePicture,
+        isEmailVerified: user.isEmailVerified
       }
     });
   } catch (error) {
@@ -80,7 +170,7 @@ router.post('/register', [
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', [
+router.post('/login', rateLimit(policies.login), [
   body('email').isEmail().withMessage('Please enter a valid email'),
   body('password').notEmpty().withMessage('Password is required')
 ], async (req, res) => {
@@ -105,43 +195,328 @@ router.post('/login', [
       });
     }
 
+    if (user.getLockoutRemaining() > 0) {
+      return sendLockedOut(res, user);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.recordFailedLogin();
       return res.status(400).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Update user status
-    const updatedUser = await User.findByIdAndUpdate(
-      user._id,
-      { $set: { isOnline: true, lastSeen: new Date() } },
-      { new: true }
-    );
+    // Only explained once the password is right, so the email alone
+    // reveals nothing
+    const suspension = user.getSuspension();
+    if (suspension) {
+      return sendSuspended(res, suspension);
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge token
+    if (user.twoFactorEnabled) {
+      const twoFactorToken = jwt.sign(
+        { id: user._id, purpose: '2fa' },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+      );
+
+      return res.json({
+        success: true,
+        message: 'Enter your authentication code',
+        twoFactorRequired: true,
+        twoFactorToken
+      });
+    }
+
+    await completeLogin(req, res, user._id);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', rateLimit(policies.twoFactorLogin), [
+  body('twoFactorToken').isString().notEmpty().withMessage('Two-factor token is required'),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Enter an authentication code or a recovery code');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.twoFactorToken, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login attempt has expired, please sign in again'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login attempt has expired, please sign in again'
+      });
+    }
+
+    if (user.getLockoutRemaining() > 0) {
+      return sendLockedOut(res, user);
+    }
+
+    const isValid = await verifySecondFactor(user, req.body);
+    if (!isValid) {
+      await user.recordFailedLogin();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // The account may have been suspended since the password step
+    const suspension = user.getSuspension();
+    if (suspension) {
+      return sendSuspended(res, suspension);
+    }
+
+    await completeLogin(req, res, user._id);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', rateLimit(policies.refresh), [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired, please log in again'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: updatedUser._id,
-        firstName: updatedUser.firstName,
-        lastName: updatedUser.lastName,
-        email: updatedUser.email,
-        profilePicture: updatedUser.profilePicture,
-        bio: updatedUser.bio
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', rateLimit(policies.accountEmail), [
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    if (user) {
+      const resetToken = user.createAccountToken('passwordReset');
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
       }
+    }
+
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Forgot password error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', rateLimit(policies.accountToken), [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.consumeAccountToken('passwordReset', req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.clearLoginLockout();
+    // Receiving the reset link proves the user owns the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      user.clearAccountToken('emailVerification');
+    }
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeSessions(req.app.get('io'), { user: user._id });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using a verification token
+// @access  Public
+router.post('/verify-email', rateLimit(policies.accountToken), [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.consumeAccountToken('emailVerification', req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, rateLimit(policies.accountEmail), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createAccountToken('emailVerification');
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
   }
 });
@@ -168,21 +543,461 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user
+// @route   PUT /api/auth/password
+// @desc    Change password
 // @access  Private
-router.post('/logout', auth, async (req, res) => {
+router.put('/password', auth, rateLimit(policies.passwordConfirm), [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
   try {
-    const updated = await User.findByIdAndUpdate(
-      req.user.id,
-      { $set: { isOnline: false, lastSeen: new Date() } },
-      { new: true, timestamps: false }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (user.getLockoutRemaining() > 0) {
+      return sendLockedOut(res, user);
+    }
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      await user.recordFailedLogin();
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    // Keep this device signed in, sign out everything else
+    await revokeSessions(req.app.get('io'), {
+      user: user._id,
+      _id: { $ne: req.sessionId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/auth/email
+// @desc    Change email; the new address must be verified again
+// @access  Private
+router.put('/email', auth, rateLimit(policies.passwordConfirm), [
+  body('email').isEmail().withMessage('Please enter a valid email'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (user.getLockoutRemaining() > 0) {
+      return sendLockedOut(res, user);
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      await user.recordFailedLogin();
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const email = req.body.email.toLowerCase();
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email'
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    const previousEmail = user.email;
+    user.email = email;
+    user.isEmailVerified = false;
+    user.emailVerifiedAt = undefined;
+    const verificationToken = user.createAccountToken('emailVerification');
+    await user.save();
+
+    try {
+      await Promise.all([
+        sendVerificationEmail(user, verificationToken),
+        sendEmailChangedNotice(previousEmail, user)
+      ]);
+    } catch (mailError) {
+      console.error('Email change mail error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email changed, check your inbox to verify it',
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        profilePicture: user.profilePicture,
+        bio: user.bio,
+        isEmailVerified: user.isEmailVerified
+      }
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/account
+// @desc    Permanently delete the account and everything it owns
+// @access  Private
+router.delete('/account', auth, rateLimit(policies.passwordConfirm), [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (user.getLockoutRemaining() > 0) {
+      return sendLockedOut(res, user);
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      await user.recordFailedLogin();
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await deleteUserAccount(user._id, req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get the provisioning URI
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl: buildOtpauthUrl({
+        secret,
+        accountName: user.email,
+        issuer: 'SnapTalk'
+      })
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Turn on two-factor auth with a code from the new authenticator
+// @access  Private
+router.post('/2fa/confirm', auth, rateLimit(policies.twoFactorLogin), [
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled || !user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (user.getLockoutRemaining() > 0) {
+      return sendLockedOut(res, user);
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      await user.recordFailedLogin();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Shown to the user once; only hashes are kept
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor auth after re-entering the password and a code
+// @access  Private
+router.post('/2fa/disable', auth, rateLimit(policies.twoFactorLogin), [
+  body('password').notEmpty().withMessage('Password is required'),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Enter an authentication code or a recovery code');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.getLockoutRemaining() > 0) {
+      return sendLockedOut(res, user);
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      await user.recordFailedLogin();
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const isValid = await verifySecondFactor(user, req.body);
+    if (!isValid) {
+      await user.recordFailedLogin();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: {
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorRecoveryCodes: 1,
+          twoFactorLastUsedStep: 1
+        }
+      }
     );
 
-    if (!updated) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        isCurrent: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke every session except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.app.get('io'), {
+      user: req.user.id,
+      _id: { $ne: req.sessionId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one session
+// @access  Private
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user.id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
     }
 
+    await revokeSessions(req.app.get('io'), { _id: session._id });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    // Disconnects this session's sockets; presence follows from the socket
+    // disconnect handler, since other devices may still be online
+    await revokeSessions(req.app.get('io'), { _id: req.sessionId });
+
     res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -0,0 +1,596 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { policies } = rateLimit;
+const { claimAttachment, validateMessageContent } = require('../utils/messaging');
+const { uploadImage, uploadToCloudinary } = require('../utils/cloudinary');
+
+const router = express.Router();
+
+// Push an event to every member's personal room
+const emitToMembers = (req, memberIds, event, payload) => {
+  const io = req.app.get('io');
+  if (!io || memberIds.length === 0) return;
+  io.to(memberIds.map(id => id.toString())).emit(event, payload);
+};
+
+// Load a group and make sure the current user belongs to it
+const loadConversation = async (req, res) => {
+  const conversation = await Conversation.findById(req.params.id);
+
+  if (!conversation) {
+    res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+    return null;
+  }
+
+  if (!conversation.isMember(req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not a member of this conversation'
+    });
+    return null;
+  }
+
+  return conversation;
+};
+
+const populateConversation = (conversation) => {
+  return conversation.populate([
+    { path: 'members', select: 'firstName lastName profilePicture isOnline lastSeen' },
+    { path: 'admins', select: 'firstName lastName profilePicture' }
+  ]);
+};
+
+// @route   POST /api/conversations
+// @desc    Create a group conversation
+// @access  Private
+router.post('/', auth, [
+  body('name').trim().notEmpty().withMessage('Group name is required')
+    .isLength({ max: 100 }).withMessage('Group name cannot exceed 100 characters'),
+  body('members').isArray({ min: 1 }).withMessage('Add at least one member')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, members } = req.body;
+    const currentUser = await User.findById(req.user.id);
+
+    const memberIds = [...new Set(members.map(String))].filter(id => id !== req.user.id);
+
+    // Groups can only be created with friends
+    const notFriends = memberIds.filter(id => !currentUser.friends.includes(id));
+    if (notFriends.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add friends to a group'
+      });
+    }
+
+    const conversation = new Conversation({
+      name,
+      members: [req.user.id, ...memberIds],
+      admins: [req.user.id],
+      createdBy: req.user.id
+    });
+
+    await conversation.save();
+    await populateConversation(conversation);
+
+    emitToMembers(req, conversation.members.map(m => m._id), 'conversationUpdated', {
+      conversationId: conversation._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      conversation
+    });
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/conversations/:id
+// @desc    Get group details
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    await populateConversation(conversation);
+
+    res.json({
+      success: true,
+      conversation
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/conversations/:id
+// @desc    Rename a group
+// @access  Private (admins)
+router.put('/:id', auth, [
+  body('name').trim().notEmpty().withMessage('Group name is required')
+    .isLength({ max: 100 }).withMessage('Group name cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (!conversation.isAdmin(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can update the group'
+      });
+    }
+
+    conversation.name = req.body.name;
+    await conversation.save();
+    await populateConversation(conversation);
+
+    emitToMembers(req, conversation.members.map(m => m._id), 'conversationUpdated', {
+      conversationId: conversation._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Group updated successfully',
+      conversation
+    });
+  } catch (error) {
+    console.error('Update conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/avatar
+// @desc    Upload group avatar
+// @access  Private (admins)
+router.post('/:id/avatar', auth, uploadImage.single('avatar'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an image file'
+      });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (!conversation.isAdmin(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can update the group'
+      });
+    }
+
+    const result = await uploadToCloudinary(req.file.buffer, {
+      folder: 'snaptalk/groups',
+      transformation: [
+        { width: 300, height: 300, crop: 'fill' }
+      ]
+    });
+
+    conversation.avatar = result.secure_url;
+    await conversation.save();
+
+    emitToMembers(req, conversation.members, 'conversationUpdated', {
+      conversationId: conversation._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Group avatar updated successfully',
+      avatar: result.secure_url
+    });
+  } catch (error) {
+    console.error('Upload group avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during image upload'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/members
+// @desc    Add members to a group
+// @access  Private (admins)
+router.post('/:id/members', auth, [
+  body('members').isArray({ min: 1 }).withMessage('Add at least one member')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (!conversation.isAdmin(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can add members'
+      });
+    }
+
+    const currentUser = await User.findById(req.user.id);
+    const newMemberIds = [...new Set(req.body.members.map(String))]
+      .filter(id => !conversation.isMember(id));
+
+    const notFriends = newMemberIds.filter(id => !currentUser.friends.includes(id));
+    if (notFriends.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add friends to a group'
+      });
+    }
+
+    conversation.members.push(...newMemberIds);
+    await conversation.save();
+    await populateConversation(conversation);
+
+    emitToMembers(req, conversation.members.map(m => m._id), 'conversationUpdated', {
+      conversationId: conversation._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Members added successfully',
+      conversation
+    });
+  } catch (error) {
+    console.error('Add members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/conversations/:id/members/:userId
+// @desc    Remove a member from a group
+// @access  Private (admins)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const memberId = req.params.userId;
+
+    if (!conversation.isAdmin(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can remove members'
+      });
+    }
+
+    if (memberId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use leave to remove yourself from the group'
+      });
+    }
+
+    if (!conversation.isMember(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not a member of this group'
+      });
+    }
+
+    conversation.members.pull(memberId);
+    conversation.admins.pull(memberId);
+    await conversation.save();
+
+    emitToMembers(req, [...conversation.members, memberId], 'conversationUpdated', {
+      conversationId: conversation._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/admins/:userId
+// @desc    Promote a member to admin
+// @access  Private (admins)
+router.post('/:id/admins/:userId', auth, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const memberId = req.params.userId;
+
+    if (!conversation.isAdmin(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can manage admins'
+      });
+    }
+
+    if (!conversation.isMember(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not a member of this group'
+      });
+    }
+
+    conversation.admins.addToSet(memberId);
+    await conversation.save();
+
+    emitToMembers(req, conversation.members, 'conversationUpdated', {
+      conversationId: conversation._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Member promoted to admin'
+    });
+  } catch (error) {
+    console.error('Add admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/conversations/:id/admins/:userId
+// @desc    Demote an admin to member
+// @access  Private (admins)
+router.delete('/:id/admins/:userId', auth, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const memberId = req.params.userId;
+
+    if (!conversation.isAdmin(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can manage admins'
+      });
+    }
+
+    if (!conversation.isAdmin(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not an admin of this group'
+      });
+    }
+
+    // A group always keeps at least one admin
+    if (conversation.admins.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A group must have at least one admin'
+      });
+    }
+
+    conversation.admins.pull(memberId);
+    await conversation.save();
+
+    emitToMembers(req, conversation.members, 'conversationUpdated', {
+      conversationId: conversation._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/leave
+// @desc    Leave a group
+// @access  Private
+router.post('/:id/leave', auth, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    conversation.members.pull(req.user.id);
+    conversation.admins.pull(req.user.id);
+
+    // Last member out removes the group and its history
+    if (conversation.members.length === 0) {
+      await Promise.all([
+        Message.deleteMany({ conversation: conversation._id }),
+        Conversation.findByIdAndDelete(conversation._id)
+      ]);
+
+      return res.json({
+        success: true,
+        message: 'You left the group'
+      });
+    }
+
+    // Hand admin rights to the longest-standing member if nobody else has them
+    if (conversation.admins.length === 0) {
+      conversation.admins.push(conversation.members[0]);
+    }
+
+    await conversation.save();
+
+    emitToMembers(req, [...conversation.members, req.user.id], 'conversationUpdated', {
+      conversationId: conversation._id
+    });
+
+    res.json({
+      success: true,
+      message: 'You left the group'
+    });
+  } catch (error) {
+    console.error('Leave conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/conversations/:id/messages
+// @desc    Get messages in a group
+// @access  Private
+router.get('/:id/messages', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const messages = await Message.find({ conversation: conversation._id, deletedFor: { $ne: req.user.id } })
+      .populate('sender', 'firstName lastName profilePicture')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    // Mark messages as read for the current member
+    await Message.updateMany(
+      {
+        conversation: conversation._id,
+        readBy: { $ne: req.user.id }
+      },
+      {
+        $addToSet: { readBy: req.user.id }
+      }
+    );
+
+    const total = await Message.countDocuments({ conversation: conversation._id, deletedFor: { $ne: req.user.id } });
+
+    res.json({
+      success: true,
+      messages: messages.reverse(), // Reverse to show oldest first
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get conversation messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/messages
+// @desc    Send a message to a group
+// @access  Private
+router.post('/:id/messages', auth, rateLimit(policies.sendMessage), [
+  validateMessageContent
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const { content, attachmentId } = req.body;
+
+    const attachmentFields = await claimAttachment(req.user.id, attachmentId);
+    if (!attachmentFields) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid attachment'
+      });
+    }
+
+    const message = new Message({
+      sender: req.user.id,
+      conversation: conversation._id,
+      content,
+      ...attachmentFields,
+      readBy: [req.user.id]
+    });
+
+    await message.save();
+    await message.populate('sender', 'firstName lastName profilePicture');
+
+    conversation.lastMessageAt = message.createdAt;
+    await conversation.save();
+
+    emitToMembers(req, conversation.members, 'receiveMessage', message);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: message
+    });
+  } catch (error) {
+    console.error('Send group message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const User = require('../models/User');
+const AudienceList = require('../models/AudienceList');
 const auth = require('../middleware/auth');
+const { createNotification } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -29,6 +31,13 @@ router.post('/request/:id', auth, async (req, res) => {
       });
     }
 
+    if (await User.isBlockedBetween(currentUserId, targetUserId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot send a friend request to this user'
+      });
+    }
+
     // Check if already friends
     if (currentUser.friends.includes(targetUserId)) {
       return res.status(400).json({
@@ -69,6 +78,12 @@ router.post('/request/:id', auth, async (req, res) => {
       })
     ]);
 
+    await createNotification(req.app.get('io'), {
+      recipient: targetUserId,
+      actor: currentUserId,
+      type: 'friend_request'
+    });
+
     res.json({
       success: true,
       message: 'Friend request sent successfully'
@@ -124,6 +139,12 @@ router.post('/accept/:id', auth, async (req, res) => {
       })
     ]);
 
+    await createNotification(req.app.get('io'), {
+      recipient: senderUserId,
+      actor: currentUserId,
+      type: 'friend_accept'
+    });
+
     res.json({
       success: true,
       message: 'Friend request accepted successfully'
@@ -216,10 +237,11 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Atomic updates: pull from both friend lists
+    // Atomic updates: pull from both friend lists (a mute only applies to friends)
     await Promise.all([
-      User.findByIdAndUpdate(currentUserId, { $pull: { friends: friendUserId } }),
-      User.findByIdAndUpdate(friendUserId, { $pull: { friends: currentUserId } })
+      User.findByIdAndUpdate(currentUserId, { $pull: { friends: friendUserId, mutedUsers: friendUserId } }),
+      User.findByIdAndUpdate(friendUserId, { $pull: { friends: currentUserId, mutedUsers: currentUserId } }),
+      AudienceList.removeBetween(currentUserId, friendUserId)
     ]);
 
     res.json({
@@ -0,0 +1,69 @@
+const express = require('express');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { visiblePostsFilter, attachSharedPosts } = require('../utils/postAccess');
+const { normalizeHashtag } = require('../utils/textEntities');
+const { encodeCursor, decodeCursor, olderThan, NEWEST_FIRST } = require('../utils/cursor');
+
+const router = express.Router();
+
+const MAX_LIMIT = 50;
+
+// @route   GET /api/hashtags/:tag
+// @desc    Posts with a hashtag that the current user may see, newest first.
+//          Pass the previous page's `nextCursor` as `cursor` for the next page.
+// @access  Private
+router.get('/:tag', auth, async (req, res) => {
+  try {
+    const tag = normalizeHashtag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid hashtag'
+      });
+    }
+
+    const { cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_LIMIT);
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !position) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    // Suspended authors stay hidden along with blocked ones
+    const blockedIds = await User.getBlockedIds(req.user.id);
+    const suspendedIds = await User.find(User.suspendedCondition()).distinct('_id');
+    const filter = {
+      hashtags: tag,
+      ...visiblePostsFilter(req.user, [...blockedIds, ...suspendedIds])
+    };
+
+    // One extra post tells us whether there is another page
+    const posts = await Post.findSummaries(
+      position ? { $and: [filter, olderThan(position)] } : filter,
+      { viewerId: req.user._id, hiddenUserIds: blockedIds, sort: NEWEST_FIRST, limit: limit + 1 }
+    );
+
+    const hasMore = posts.length > limit;
+    const page = await attachSharedPosts(posts.slice(0, limit), req.user, blockedIds);
+
+    res.json({
+      success: true,
+      tag,
+      posts: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    console.error('Get hashtag posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,18 +2,92 @@ const express = require('express');
 const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const PendingAttachment = require('../models/PendingAttachment');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { policies } = rateLimit;
+const {
+  checkCanMessage,
+  getMessageParticipants,
+  claimAttachment,
+  validateMessageContent
+} = require('../utils/messaging');
+const { uploadAttachment, uploadToCloudinary, deleteMessageAttachment, handleUploadErrors } = require('../utils/cloudinary');
 
 const router = express.Router();
 
+// Push a message change to every participant's personal room
+const emitToParticipants = (req, participantIds, event, payload) => {
+  const io = req.app.get('io');
+  if (!io || participantIds.length === 0) return;
+  io.to(participantIds).emit(event, payload);
+};
+
+// @route   POST /api/messages/attachments
+// @desc    Upload an attachment to send with a message
+// @access  Private
+router.post('/attachments',
+  auth,
+  rateLimit(policies.upload),
+  (req, res, next) => {
+    uploadAttachment(req, res, function(err) {
+      if (err) {
+        return handleUploadErrors(err, req, res, next);
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please upload a file'
+        });
+      }
+
+      const isImage = req.file.mimetype.startsWith('image/');
+      const result = await uploadToCloudinary(req.file.buffer, {
+        resource_type: isImage ? 'image' : 'raw',
+        folder: `snaptalk/messages/${req.user.id}`,
+        use_filename: true,
+        filename_override: req.file.originalname
+      });
+
+      // Sending refers to this by id, so the details can't be swapped out
+      const attachment = await PendingAttachment.create({
+        uploader: req.user.id,
+        messageType: isImage ? 'image' : 'file',
+        fileUrl: result.secure_url,
+        filePublicId: result.public_id,
+        fileName: req.file.originalname.slice(0, 255),
+        fileSize: req.file.size,
+        mimeType: req.file.mimetype
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Attachment uploaded successfully',
+        attachment
+      });
+    } catch (error) {
+      console.error('Upload attachment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during file upload'
+      });
+    }
+  }
+);
+
 // @route   POST /api/messages
 // @desc    Send a message
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, rateLimit(policies.sendMessage), [
   body('receiver').notEmpty().withMessage('Receiver ID is required'),
-  body('content').trim().notEmpty().withMessage('Message content is required')
-    .isLength({ max: 1000 }).withMessage('Message cannot exceed 1000 characters')
+  validateMessageContent
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,32 +99,34 @@ router.post('/', auth, [
       });
     }
 
-    const { receiver, content, messageType = 'text', fileUrl = '' } = req.body;
+    const { receiver, content, attachmentId } = req.body;
 
-    // Check if receiver exists
-    const receiverUser = await User.findById(receiver);
-    if (!receiverUser) {
-      return res.status(404).json({
+    // Check the receiver exists and can be messaged
+    const denied = await checkCanMessage(req.user.id, receiver);
+    if (denied) {
+      return res.status(denied.status).json({
         success: false,
-        message: 'Receiver not found'
+        message: denied.message
       });
     }
 
-    // Check if sender and receiver are friends
-    const senderUser = await User.findById(req.user.id);
-    if (!senderUser.friends.includes(receiver) && receiver !== req.user.id) {
-      return res.status(403).json({
+    const attachmentFields = await claimAttachment(req.user.id, attachmentId);
+    if (!attachmentFields) {
+      return res.status(400).json({
         success: false,
-        message: 'You can only send messages to friends'
+        message: 'Invalid attachment'
       });
     }
 
+    const io = req.app.get('io');
+    const receiverOnline = !!io && io.sockets.adapter.rooms.has(receiver);
+
     const message = new Message({
       sender: req.user.id,
       receiver,
       content,
-      messageType,
-      fileUrl
+      ...attachmentFields,
+      deliveredAt: receiverOnline ? new Date() : undefined
     });
 
     await message.save();
@@ -58,6 +134,10 @@ router.post('/', auth, [
     await message.populate('sender', 'firstName lastName profilePicture');
     await message.populate('receiver', 'firstName lastName profilePicture');
 
+    if (receiverOnline) {
+      io.to(receiver).emit('receiveMessage', message);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Message sent successfully',
@@ -81,9 +161,11 @@ router.get('/conversations', auth, async (req, res) => {
     const userObjectId = new mongoose.Types.ObjectId(userId);
 
     // Get unique conversation partners
-    const conversations = await Message.aggregate([
+    const directConversations = await Message.aggregate([
       {
         $match: {
+          conversation: null,
+          deletedFor: { $ne: userObjectId },
           $or: [
             { sender: userObjectId },
             { receiver: userObjectId }
@@ -138,6 +220,7 @@ router.get('/conversations', auth, async (req, res) => {
       {
         $project: {
           _id: 1,
+          isGroup: { $literal: false },
           lastMessage: 1,
           unreadCount: 1,
           user: {
@@ -155,6 +238,34 @@ router.get('/conversations', auth, async (req, res) => {
       }
     ]);
 
+    // Get group conversations the user belongs to
+    const groups = await Conversation.find({ members: userId })
+      .populate('members', 'firstName lastName profilePicture isOnline lastSeen')
+      .sort({ lastMessageAt: -1 });
+
+    const groupConversations = await Promise.all(groups.map(async (group) => {
+      const [lastMessage, unreadCount] = await Promise.all([
+        Message.findOne({ conversation: group._id, deletedFor: { $ne: userObjectId } }).sort({ createdAt: -1 }),
+        Message.countDocuments({
+          conversation: group._id,
+          sender: { $ne: userObjectId },
+          readBy: { $ne: userObjectId }
+        })
+      ]);
+
+      return {
+        _id: group._id,
+        isGroup: true,
+        lastMessage: lastMessage || { content: '', createdAt: group.createdAt },
+        unreadCount,
+        group
+      };
+    }));
+
+    const conversations = [...directConversations, ...groupConversations].sort(
+      (a, b) => new Date(b.lastMessage.createdAt) - new Date(a.lastMessage.createdAt)
+    );
+
     res.json({
       success: true,
       conversations
@@ -187,12 +298,13 @@ router.get('/:userId', auth, async (req, res) => {
       });
     }
 
-    // Get messages between the two users
+    // Get messages between the two users, minus the ones hidden by the current user
     const messages = await Message.find({
       $or: [
         { sender: currentUserId, receiver: otherUserId },
         { sender: otherUserId, receiver: currentUserId }
-      ]
+      ],
+      deletedFor: { $ne: currentUserId }
     })
     .populate('sender', 'firstName lastName profilePicture')
     .populate('receiver', 'firstName lastName profilePicture')
@@ -201,7 +313,8 @@ router.get('/:userId', auth, async (req, res) => {
     .skip(skip);
 
     // Mark messages as read if they were sent to current user
-    await Message.updateMany(
+    const readAt = new Date();
+    const readResult = await Message.updateMany(
       {
         sender: otherUserId,
         receiver: currentUserId,
@@ -209,15 +322,22 @@ router.get('/:userId', auth, async (req, res) => {
       },
       {
         isRead: true,
-        readAt: new Date()
+        readAt
       }
     );
 
+    // Let the sender's open chat show the read receipt live
+    const io = req.app.get('io');
+    if (io && readResult.modifiedCount > 0) {
+      io.to(otherUserId).emit('messagesRead', { readerId: currentUserId, readAt });
+    }
+
     const total = await Message.countDocuments({
       $or: [
         { sender: currentUserId, receiver: otherUserId },
         { sender: otherUserId, receiver: currentUserId }
-      ]
+      ],
+      deletedFor: { $ne: currentUserId }
     });
 
     res.json({
@@ -267,6 +387,15 @@ router.put('/:messageId/read', auth, async (req, res) => {
       message.isRead = true;
       message.readAt = new Date();
       await message.save();
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(message.sender.toString()).emit('messagesRead', {
+          readerId: userId,
+          readAt: message.readAt,
+          messageId: message._id
+        });
+      }
     }
 
     res.json({
@@ -282,15 +411,86 @@ router.put('/:messageId/read', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/messages/:messageId
+// @desc    Edit a message within the edit window
+// @access  Private (sender)
+router.put('/:messageId', auth, [
+  body('content').default('').trim()
+    .isLength({ max: 1000 }).withMessage('Message cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const message = await Message.findById(req.params.messageId);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    // Only the sender can edit a message
+    if (message.sender.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this message'
+      });
+    }
+
+    if (!message.canEdit()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This message can no longer be edited'
+      });
+    }
+
+    const { content } = req.body;
+    if (!content && !message.fileUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message content is required'
+      });
+    }
+
+    if (content !== message.content) {
+      message.editHistory.push({ content: message.content });
+      message.content = content;
+      message.editedAt = new Date();
+      await message.save();
+    }
+
+    await message.populate('sender', 'firstName lastName profilePicture');
+
+    emitToParticipants(req, await getMessageParticipants(message), 'messageUpdated', message);
+
+    res.json({
+      success: true,
+      message: 'Message updated successfully',
+      data: message
+    });
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   DELETE /api/messages/:messageId
-// @desc    Delete a message
-// @access  Private
+// @desc    Unsend a message for everyone, leaving a tombstone
+// @access  Private (sender)
 router.delete('/:messageId', auth, async (req, res) => {
   try {
-    const messageId = req.params.messageId;
-    const userId = req.user.id;
-
-    const message = await Message.findById(messageId);
+    const message = await Message.findById(req.params.messageId);
 
     if (!message) {
       return res.status(404).json({
@@ -299,19 +499,27 @@ router.delete('/:messageId', auth, async (req, res) => {
       });
     }
 
-    // Only the sender can delete a message
-    if (message.sender.toString() !== userId) {
+    // Only the sender can unsend a message
+    if (message.sender.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this message'
       });
     }
 
-    await Message.findByIdAndDelete(messageId);
+    if (!message.isUnsent) {
+      await deleteMessageAttachment(message);
+      await message.unsend();
+    }
+
+    await message.populate('sender', 'firstName lastName profilePicture');
+
+    emitToParticipants(req, await getMessageParticipants(message), 'messageUpdated', message);
 
     res.json({
       success: true,
-      message: 'Message deleted successfully'
+      message: 'Message unsent successfully',
+      data: message
     });
   } catch (error) {
     console.error('Delete message error:', error);
@@ -322,15 +530,68 @@ router.delete('/:messageId', auth, async (req, res) => {
   }
 });
 
+// @route   DELETE /api/messages/:messageId/me
+// @desc    Hide a message from the current user's view only
+// @access  Private (participants)
+router.delete('/:messageId/me', auth, async (req, res) => {
+  try {
+    const message = await Message.findById(req.params.messageId);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const participants = await getMessageParticipants(message);
+    if (!participants.includes(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this message'
+      });
+    }
+
+    await Message.updateOne(
+      { _id: message._id },
+      { $addToSet: { deletedFor: req.user.id } }
+    );
+
+    // Keep the user's other tabs in sync
+    emitToParticipants(req, [req.user.id], 'messageHidden', { messageId: message._id });
+
+    res.json({
+      success: true,
+      message: 'Message deleted for you'
+    });
+  } catch (error) {
+    console.error('Delete message for me error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/messages/unread/count
 // @desc    Get unread message count
 // @access  Private
 router.get('/unread/count', auth, async (req, res) => {
   try {
-    const unreadCount = await Message.countDocuments({
-      receiver: req.user.id,
-      isRead: false
-    });
+    const groupIds = await Conversation.find({ members: req.user.id }).distinct('_id');
+
+    const [directUnread, groupUnread] = await Promise.all([
+      Message.countDocuments({
+        receiver: req.user.id,
+        isRead: false
+      }),
+      Message.countDocuments({
+        conversation: { $in: groupIds },
+        sender: { $ne: req.user.id },
+        readBy: { $ne: req.user.id }
+      })
+    ]);
+    const unreadCount = directUnread + groupUnread;
 
     res.json({
       success: true,
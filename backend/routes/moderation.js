@@ -0,0 +1,543 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const ModerationLog = require('../models/ModerationLog');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { ROLES } = requireRole;
+const { createNotification } = require('../utils/notifications');
+const {
+  describeReportTarget,
+  removeReportedContent,
+  suspendUser,
+  liftSuspension,
+  logModerationAction
+} = require('../utils/moderation');
+
+const router = express.Router();
+
+const USER_FIELDS = 'firstName lastName profilePicture';
+const ACTIVE_STATUSES = ['open', 'reviewing'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SUSPENSION_REASON = 'Violating community guidelines';
+const DEFAULT_WARNING = 'Some of your content goes against our community guidelines. Further violations may lead to a suspension.';
+
+// Only admins can warn or suspend other moderators
+const canActAgainst = async (moderator, userId) => {
+  if (moderator.role === 'admin') return true;
+  const target = await User.findById(userId).select('role');
+  return !target || ROLES.indexOf(target.role) < ROLES.indexOf('moderator');
+};
+
+// Suspension settings from a request body: `permanent` or `durationDays`
+const readSuspension = (reqBody) => {
+  if (reqBody.permanent === true) {
+    return { permanent: true, label: 'permanently' };
+  }
+  const durationDays = parseInt(reqBody.durationDays);
+  return {
+    until: new Date(Date.now() + durationDays * DAY_MS),
+    label: `${durationDays} day${durationDays === 1 ? '' : 's'}`
+  };
+};
+
+const validateSuspension = (isSuspending) => [
+  body('permanent').optional().isBoolean().withMessage('permanent must be true or false'),
+  body('durationDays')
+    .if((value, { req }) => isSuspending(req) && req.body.permanent !== true)
+    .isInt({ min: 1, max: 365 }).withMessage('Suspension must last between 1 and 365 days')
+];
+
+const populateReport = (query) => query
+  .populate('reporter', USER_FIELDS)
+  .populate('targetUser', `${USER_FIELDS} role`)
+  .populate('assignedTo', USER_FIELDS)
+  .populate('resolution.resolvedBy', USER_FIELDS);
+
+// @route   GET /api/moderation/reports
+// @desc    List reports; `status` is a report status or `active` (open and reviewing)
+// @access  Private (moderator)
+router.get('/reports', auth, requireRole('moderator'), async (req, res) => {
+  try {
+    const { status = 'active', targetType, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (status !== 'active' && !Report.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+    if (targetType && !Report.targetTypes.includes(targetType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report type'
+      });
+    }
+
+    const isQueue = status === 'active' || ACTIVE_STATUSES.includes(status);
+    const filter = {
+      status: status === 'active' ? { $in: ACTIVE_STATUSES } : status,
+      ...(targetType && { targetType })
+    };
+
+    // The queue is worked oldest first; closed reports read newest first
+    const reports = await populateReport(Report.find(filter))
+      .sort({ createdAt: isQueue ? 1 : -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Report.countDocuments(filter);
+
+    res.json({
+      success: true,
+      reports,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/moderation/reports/:id
+// @desc    Get a report with the content as it is now and the user's history
+// @access  Private (moderator)
+router.get('/reports/:id', auth, requireRole('moderator'), async (req, res) => {
+  try {
+    const report = await populateReport(Report.findById(req.params.id));
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const target = await describeReportTarget(report);
+    const priorViolations = report.targetUser
+      ? await Report.countDocuments({
+        _id: { $ne: report._id },
+        targetUser: report.targetUser._id,
+        status: 'resolved'
+      })
+      : 0;
+
+    res.json({
+      success: true,
+      report,
+      currentContent: target ? target.snapshot : null,
+      priorViolations
+    });
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/moderation/reports/:id
+// @desc    Triage a report: change its status or who is handling it
+// @access  Private (moderator)
+router.put('/reports/:id', auth, requireRole('moderator'), [
+  body('status').optional().isIn(ACTIVE_STATUSES).withMessage('Status must be open or reviewing'),
+  body('assignedTo').optional({ nullable: true }).isMongoId().withMessage('Invalid moderator')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!report.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This report is already closed'
+      });
+    }
+
+    const { status, assignedTo } = req.body;
+
+    if (assignedTo) {
+      const assignee = await User.findById(assignedTo).select('role');
+      if (!assignee || ROLES.indexOf(assignee.role) < ROLES.indexOf('moderator')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reports can only be assigned to moderators'
+        });
+      }
+    }
+
+    if (status) report.status = status;
+    if (assignedTo !== undefined) report.assignedTo = assignedTo || undefined;
+    await report.save();
+
+    await logModerationAction(req.user.id, {
+      action: 'assign',
+      report,
+      details: `status: ${report.status}, assigned to: ${report.assignedTo || 'nobody'}`
+    });
+
+    await populateReport(report);
+
+    res.json({
+      success: true,
+      message: 'Report updated',
+      report
+    });
+  } catch (error) {
+    console.error('Triage report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/moderation/reports/:id/resolve
+// @desc    Close a report, optionally removing the content and warning or
+//          suspending its author
+// @access  Private (moderator)
+router.post('/reports/:id/resolve', auth, requireRole('moderator'), [
+  body('action').isIn(Report.actions).withMessage('Invalid action'),
+  body('removeContent').optional().isBoolean().withMessage('removeContent must be true or false'),
+  body('note').optional().trim()
+    .isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters'),
+  ...validateSuspension((req) => req.body.action === 'suspend')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!report.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This report is already closed'
+      });
+    }
+
+    const { action, note = '' } = req.body;
+    const io = req.app.get('io');
+
+    if ((action === 'warn' || action === 'suspend') && !(await canActAgainst(req.user, report.targetUser))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can warn or suspend a moderator'
+      });
+    }
+
+    let contentRemoved = false;
+    const removeContent = action === 'remove_content' || (action !== 'none' && req.body.removeContent === true);
+    if (removeContent) {
+      contentRemoved = await removeReportedContent(report, io);
+      await logModerationAction(req.user.id, { action: 'remove_content', report, details: note });
+    }
+
+    if (action === 'warn') {
+      await createNotification(io, {
+        recipient: report.targetUser,
+        type: 'warning',
+        message: note || DEFAULT_WARNING
+      });
+      await logModerationAction(req.user.id, { action: 'warn', report, details: note });
+    }
+
+    if (action === 'suspend') {
+      const { until, permanent, label } = readSuspension(req.body);
+      await suspendUser(report.targetUser, {
+        until,
+        permanent,
+        reason: note || DEFAULT_SUSPENSION_REASON
+      }, io);
+      await logModerationAction(req.user.id, {
+        action: 'suspend',
+        report,
+        details: `${label}${note ? `: ${note}` : ''}`
+      });
+    }
+
+    if (action === 'none') {
+      await logModerationAction(req.user.id, { action: 'dismiss', report, details: note });
+    }
+
+    const resolution = {
+      action,
+      note,
+      contentRemoved,
+      resolvedBy: req.user.id,
+      resolvedAt: new Date()
+    };
+    report.status = action === 'none' ? 'dismissed' : 'resolved';
+    report.resolution = resolution;
+    await report.save();
+
+    // Other open reports about content that is now gone close with this one
+    if (contentRemoved) {
+      await Report.updateMany(
+        {
+          _id: { $ne: report._id },
+          targetType: report.targetType,
+          targetId: report.targetId,
+          status: { $in: ACTIVE_STATUSES }
+        },
+        {
+          status: 'resolved',
+          resolution: { ...resolution, note: `Closed with report ${report._id}` }
+        }
+      );
+    }
+
+    await populateReport(report);
+
+    res.json({
+      success: true,
+      message: action === 'none' ? 'Report dismissed' : 'Report resolved',
+      report
+    });
+  } catch (error) {
+    console.error('Resolve report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/moderation/audit-log
+// @desc    What each moderator did, newest first; filter with `moderator`
+// @access  Private (admin)
+router.get('/audit-log', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { moderator, page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+    const filter = moderator ? { moderator } : {};
+
+    const entries = await ModerationLog.find(filter)
+      .populate('moderator', USER_FIELDS)
+      .populate('targetUser', USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await ModerationLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/moderation/users/:id/suspension
+// @desc    Suspend a user for `durationDays` or, with `permanent`, for good
+// @access  Private (moderator)
+router.post('/users/:id/suspension', auth, requireRole('moderator'), [
+  ...validateSuspension(() => true),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend yourself'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canActAgainst(req.user, user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can warn or suspend a moderator'
+      });
+    }
+
+    const { until, permanent, label } = readSuspension(req.body);
+    await suspendUser(user._id, { until, permanent, reason: req.body.reason }, req.app.get('io'));
+
+    await logModerationAction(req.user.id, {
+      action: 'suspend',
+      targetUser: user._id,
+      targetType: 'user',
+      targetId: user._id,
+      details: `${label}: ${req.body.reason}`
+    });
+
+    res.json({
+      success: true,
+      message: permanent ? 'User suspended permanently' : `User suspended for ${label}`
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/moderation/users/:id/suspension
+// @desc    Lift a suspension before it runs out
+// @access  Private (moderator)
+router.delete('/users/:id/suspension', auth, requireRole('moderator'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.getSuspension()) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    await liftSuspension(user._id);
+
+    await logModerationAction(req.user.id, {
+      action: 'unsuspend',
+      targetUser: user._id,
+      targetType: 'user',
+      targetId: user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Suspension lifted'
+    });
+  } catch (error) {
+    console.error('Lift suspension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/moderation/users/:id/role
+// @desc    Make a user a moderator or admin, or take the role away
+// @access  Private (admin)
+router.put('/users/:id/role', auth, requireRole('admin'), [
+  body('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('role');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    await user.save();
+
+    await logModerationAction(req.user.id, {
+      action: 'change_role',
+      targetUser: user._id,
+      targetType: 'user',
+      targetId: user._id,
+      details: `${previousRole} → ${user.role}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      role: user.role
+    });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,149 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Post = require('../models/Post');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
-const { uploadMedia, uploadToCloudinary, deleteFromCloudinary, handleUploadErrors } = require('../utils/cloudinary');
+const rateLimit = require('../middleware/rateLimit');
+const { policies } = rateLimit;
+const { uploadMedia, uploadToCloudinary, deletePostMedia, handleUploadErrors } = require('../utils/cloudinary');
+const { createNotification } = require('../utils/notifications');
+const { encodeCursor, decodeCursor, olderThan, newerThan, NEWEST_FIRST } = require('../utils/cursor');
+const {
+  createFeedRanking,
+  findFeedRanking,
+  findFeedPage,
+  encodeRankCursor,
+  decodeRankCursor
+} = require('../utils/feedRanking');
+const {
+  canViewPost,
+  visiblePostsFilter,
+  friendAudienceFilter,
+  resolveAudience,
+  attachSharedPosts
+} = require('../utils/postAccess');
+const { extractHashtags, resolveMentions } = require('../utils/textEntities');
+const { resolveTags } = require('../utils/tags');
+const { checkPostContent } = require('../utils/postContent');
 
 const router = express.Router();
 
+const FEED_MODES = ['latest', 'top'];
+const MAX_FEED_LIMIT = 50;
+// Matches the per-upload file limit in utils/cloudinary.js
+const MAX_POST_MEDIA = 5;
+// The new posts banner stops counting here
+const MAX_NEW_POSTS_COUNT = 100;
+
+// Query matching a user's feed: their own posts and their friends', leaving
+// out muted, blocked and suspended friends. Also resolves to the blocked ids
+// so callers can filter comment previews.
+const buildFeedFilter = async (userId) => {
+  const currentUser = await User.findById(userId).select('friends mutedUsers');
+  // Muted friends stay friends but drop out of the feed. Blocking already
+  // ends a friendship; filtering here keeps the feed right regardless.
+  const blockedIds = await User.getBlockedIds(userId);
+  // Suspended friends' posts come back on their own once the suspension ends
+  const suspendedIds = await User.find({
+    _id: { $in: currentUser.friends },
+    ...User.suspendedCondition()
+  }).distinct('_id');
+  const hiddenIds = new Set([...currentUser.mutedUsers, ...blockedIds, ...suspendedIds].map(id => id.toString()));
+  const friendIds = currentUser.friends.filter(id => !hiddenIds.has(id.toString()));
+
+  const filter = {
+    $or: [
+      { author: currentUser._id },
+      {
+        author: { $in: friendIds },
+        ...friendAudienceFilter(currentUser._id)
+      }
+    ]
+  };
+  return { filter, blockedIds };
+};
+
+// Upload a post's files to Cloudinary, split into schema-aligned image and
+// video lists. If one file fails, the ones already uploaded are deleted and
+// the error is rethrown.
+const uploadPostMedia = async (files = [], userId) => {
+  const images = [];
+  const videos = [];
+
+  for (const file of files) {
+    const isVideo = file.mimetype.startsWith('video/');
+    try {
+      const result = await uploadToCloudinary(file.buffer, {
+        resource_type: isVideo ? 'video' : 'image',
+        folder: `snaptalk/posts/${userId}`
+      });
+      (isVideo ? videos : images).push({
+        url: result.secure_url,
+        publicId: result.public_id
+      });
+    } catch (uploadError) {
+      console.error('Media upload error:', uploadError);
+      await deletePostMedia({ images, videos });
+      throw uploadError;
+    }
+  }
+
+  return { images, videos };
+};
+
+// Read a multipart field holding a JSON array, e.g. `taggedUsers`
+const parseIdList = (value) => {
+  try {
+    const ids = JSON.parse(value);
+    return Array.isArray(ids) && ids.every(id => mongoose.isValidObjectId(id)) ? ids : null;
+  } catch (parseError) {
+    return null;
+  }
+};
+
+// Tell people they were tagged, or asked to approve a tag
+const notifyTags = (io, { tagged, pending }, { post, actorId }) => {
+  return Promise.all([
+    ...tagged.map(userId => ({ userId, type: 'tag' })),
+    ...pending.map(userId => ({ userId, type: 'tag_request' }))
+  ].map(({ userId, type }) => createNotification(io, {
+    recipient: userId,
+    actor: actorId,
+    type,
+    post: post._id
+  })));
+};
+
+// Notify mentioned users who can see the post, skipping anyone in `except`
+// (ids already mentioned before an edit, or told about the same post in
+// another way)
+const notifyMentions = (io, mentioned, { post, comment, actorId, except = [] }) => {
+  const skipped = new Set(except.map(id => id.toString()));
+  return Promise.all(mentioned
+    .filter(user => !skipped.has(user._id.toString()) && canViewPost(post, user))
+    .map(user => createNotification(io, {
+      recipient: user._id,
+      actor: actorId,
+      type: 'mention',
+      post: post._id,
+      comment
+    })));
+};
+
+// Nest replies under their parent comment
+const buildThread = (comment, repliesByParent) => ({
+  ...comment.toJSON(),
+  replies: (repliesByParent.get(comment._id.toString()) || [])
+    .map(reply => buildThread(reply, repliesByParent))
+});
+
 // @route   POST /api/posts
 // @desc    Create a new post
 // @access  Private
 router.post('/', 
   auth, 
+  rateLimit(policies.createPost),
   (req, res, next) => {
     uploadMedia(req, res, function(err) {
       if (err) {
@@ -23,16 +155,13 @@ router.post('/',
   [
   // Allow either text content or at least one uploaded media file
   body('content').custom((value, { req }) => {
-    const hasText = typeof value === 'string' && value.trim().length > 0;
-    const hasFiles = Array.isArray(req.files) && req.files.length > 0;
-    if (!hasText && !hasFiles) {
-      throw new Error('Add text or at least one media file');
-    }
-    if (hasText && value.trim().length > 2000) {
-      throw new Error('Post content cannot exceed 2000 characters');
+    const error = checkPostContent({ content: value, mediaCount: (req.files || []).length });
+    if (error) {
+      throw new Error(error);
     }
     return true;
-  })
+  }),
+  body('privacy').optional().isIn(Post.privacyOptions).withMessage('Invalid privacy setting')
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -45,65 +174,70 @@ router.post('/',
     }
 
     try {
-      const { content, taggedUsers, privacy = 'friends' } = req.body;
-      // Persist uploaded files into schema-aligned fields
-      const images = [];
-      const videos = [];
-
-      // Handle media uploads
-      if (req.files && req.files.length > 0) {
-        for (const file of req.files) {
-          try {
-            const result = await uploadToCloudinary(file.buffer, {
-              resource_type: file.mimetype.startsWith('video/') ? 'video' : 'image',
-              folder: `snaptalk/posts/${req.user.id}`
-            });
-
-            if (file.mimetype.startsWith('video/')) {
-              videos.push({
-                url: result.secure_url,
-                publicId: result.public_id
-              });
-            } else {
-              images.push({
-                url: result.secure_url,
-                publicId: result.public_id
-              });
-            }
-          } catch (uploadError) {
-            console.error('Media upload error:', uploadError);
-            // If one file fails, delete any successfully uploaded files
-            if (images.length > 0 || videos.length > 0) {
-              const uploaded = [...images, ...videos];
-              await Promise.all(uploaded.map(item => deleteFromCloudinary(item.publicId)));
-            }
-            return res.status(400).json({
-              success: false,
-              message: uploadError.message || 'Error uploading media files'
-            });
-          }
-        }
+      const { content, taggedUsers, privacy = 'friends', audienceList } = req.body;
+
+      // Check the audience and tags before anything is uploaded
+      const audience = await resolveAudience(req.user, privacy, audienceList);
+      if (audience.error) {
+        return res.status(400).json({
+          success: false,
+          message: audience.error
+        });
+      }
+
+      const tags = taggedUsers
+        ? await resolveTags(req.user, Array.isArray(taggedUsers) ? taggedUsers : [taggedUsers], { privacy })
+        : { tagged: [], pending: [] };
+      if (tags.error) {
+        return res.status(400).json({
+          success: false,
+          message: tags.error
+        });
       }
 
+      let images, videos;
+      try {
+        ({ images, videos } = await uploadPostMedia(req.files, req.user.id));
+      } catch (uploadError) {
+        return res.status(400).json({
+          success: false,
+          message: uploadError.message || 'Error uploading media files'
+        });
+      }
+
+      const blockedIds = await User.getBlockedIds(req.user.id);
+      const mentioned = await resolveMentions(content, req.user, blockedIds);
+
       const post = new Post({
         author: req.user.id,
         content,
         images,
         videos,
-        privacy
+        privacy,
+        audienceList: audience.audienceList,
+        audience: audience.audience,
+        taggedUsers: tags.tagged,
+        pendingTags: tags.pending,
+        hashtags: extractHashtags(content),
+        mentions: mentioned.map(user => user._id)
       });
 
-      // Handle tagged users
-      if (taggedUsers) {
-        const taggedUserIds = Array.isArray(taggedUsers) ? taggedUsers : [taggedUsers];
-        post.taggedUsers = taggedUserIds;
-      }
-
       await post.save();
 
+      // Let tagged and mentioned users know
+      const io = req.app.get('io');
+      await notifyTags(io, tags, { post, actorId: req.user.id });
+      await notifyMentions(io, mentioned, {
+        post,
+        actorId: req.user.id,
+        except: [...tags.tagged, ...tags.pending]
+      });
+
       // Populate author information
       await post.populate('author', 'firstName lastName profilePicture');
       await post.populate('taggedUsers', 'firstName lastName profilePicture');
+      await post.populate('mentions', 'firstName lastName');
+      await post.populate('audienceList', 'name');
 
       res.status(201).json({
         success: true,
@@ -121,52 +255,73 @@ router.post('/',
 );
 
 // @route   GET /api/posts/feed
-// @desc    Get news feed posts
+// @desc    Get news feed: `mode=latest` (default) is newest first and
+//          `mode=top` ranks recent posts (see utils/feedRanking.js). Pass the
+//          previous page's `nextCursor` as `cursor` for the next page.
 // @access  Private
 router.get('/feed', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const { cursor, mode = 'latest' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_FEED_LIMIT);
 
-    const currentUser = await User.findById(req.user.id);
-    const friendIds = currentUser.friends;
-
-    // Get posts from friends and own posts
-    const posts = await Post.find({
-      $or: [
-        { author: req.user.id },
-        { 
-          author: { $in: friendIds },
-          privacy: { $in: ['public', 'friends'] }
-        }
-      ]
-    })
-    .populate('author', 'firstName lastName profilePicture')
-    .populate('taggedUsers', 'firstName lastName profilePicture')
-    .populate('likes.user', 'firstName lastName profilePicture')
-    .populate('comments.user', 'firstName lastName profilePicture')
-    .sort({ createdAt: -1 })
-    .limit(parseInt(limit))
-    .skip(skip);
+    if (!FEED_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feed mode'
+      });
+    }
 
-    const total = await Post.countDocuments({
-      $or: [
-        { author: req.user.id },
-        { 
-          author: { $in: friendIds },
-          privacy: { $in: ['public', 'friends'] }
-        }
-      ]
-    });
+    const decode = mode === 'top' ? decodeRankCursor : decodeCursor;
+    const position = cursor ? decode(cursor) : null;
+    if (cursor && !position) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const { filter: feedFilter, blockedIds } = await buildFeedFilter(req.user.id);
+    // Comments and reactions are paged separately
+    const summaryOptions = { viewerId: req.user._id, hiddenUserIds: blockedIds };
+
+    if (mode === 'top') {
+      // Later pages read the ranking made for the first one
+      const ranking = position
+        ? await findFeedRanking(position.rankingId, req.user._id)
+        : await createFeedRanking(feedFilter, { viewerId: req.user._id });
+      if (!ranking) {
+        return res.status(400).json({
+          success: false,
+          message: 'This feed has expired, refresh to see the latest posts'
+        });
+      }
+
+      const offset = position ? position.offset : 0;
+      const { posts, hasMore } = await findFeedPage(ranking, feedFilter, { ...summaryOptions, offset, limit });
+      await attachSharedPosts(posts, req.user, blockedIds);
+
+      return res.json({
+        success: true,
+        posts,
+        nextCursor: hasMore ? encodeRankCursor({ rankingId: ranking._id, offset: offset + limit }) : null
+      });
+    }
+
+    // One extra post tells us whether there is another page
+    const posts = await Post.findSummaries(
+      position ? { $and: [feedFilter, olderThan(position)] } : feedFilter,
+      { ...summaryOptions, sort: NEWEST_FIRST, limit: limit + 1 }
+    );
+
+    const hasMore = posts.length > limit;
+    const page = await attachSharedPosts(posts.slice(0, limit), req.user, blockedIds);
 
     res.json({
       success: true,
-      posts,
-      pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / limit),
-        total
-      }
+      posts: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      // Where to count new posts from (first page only)
+      ...(!cursor && { newestCursor: page.length > 0 ? encodeCursor(page[0]) : null })
     });
   } catch (error) {
     console.error('Get feed error:', error);
@@ -177,6 +332,41 @@ router.get('/feed', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/posts/feed/new-count
+// @desc    Count friends' posts newer than `cursor` (the feed's `newestCursor`)
+// @access  Private
+router.get('/feed/new-count', auth, async (req, res) => {
+  try {
+    const position = decodeCursor(req.query.cursor);
+    if (!position) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const { filter: feedFilter } = await buildFeedFilter(req.user.id);
+
+    // Your own new posts are already on screen
+    const count = await Post.countDocuments(
+      { $and: [feedFilter, newerThan(position), { author: { $ne: req.user._id } }] },
+      { limit: MAX_NEW_POSTS_COUNT }
+    );
+
+    res.json({
+      success: true,
+      count,
+      isCapped: count === MAX_NEW_POSTS_COUNT
+    });
+  } catch (error) {
+    console.error('Get new feed count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/posts/user/:userId
 // @desc    Get posts by specific user
 // @access  Private
@@ -189,7 +379,7 @@ router.get('/user/:userId', auth, async (req, res) => {
     const currentUser = await User.findById(req.user.id);
     const targetUser = await User.findById(userId);
 
-    if (!targetUser) {
+    if (!targetUser || await User.isBlockedBetween(req.user.id, userId)) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
@@ -205,24 +395,25 @@ router.get('/user/:userId', auth, async (req, res) => {
       // Own posts - show all
       privacyFilter = {};
     } else if (isFriend) {
-      // Friend's posts - show public and friends
-      privacyFilter = { privacy: { $in: ['public', 'friends'] } };
+      // Friend's posts - show public, friends and lists that include us
+      privacyFilter = friendAudienceFilter(req.user._id);
     } else {
       // Non-friend - show only public
       privacyFilter = { privacy: 'public' };
     }
 
-    const posts = await Post.find({
-      author: userId,
-      ...privacyFilter
-    })
-    .populate('author', 'firstName lastName profilePicture')
-    .populate('taggedUsers', 'firstName lastName profilePicture')
-    .populate('likes.user', 'firstName lastName profilePicture')
-    .populate('comments.user', 'firstName lastName profilePicture')
-    .sort({ createdAt: -1 })
-    .limit(parseInt(limit))
-    .skip(skip);
+    const blockedIds = await User.getBlockedIds(req.user.id);
+    const posts = await Post.findSummaries(
+      { author: targetUser._id, ...privacyFilter },
+      {
+        viewerId: req.user._id,
+        hiddenUserIds: blockedIds,
+        sort: NEWEST_FIRST,
+        limit: parseInt(limit),
+        skip
+      }
+    );
+    await attachSharedPosts(posts, req.user, blockedIds);
 
     const total = await Post.countDocuments({
       author: userId,
@@ -247,46 +438,488 @@ router.get('/user/:userId', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/posts/:id/like
-// @desc    Like/unlike a post
+// @route   GET /api/posts/tagged/:userId
+// @desc    Get posts a user is tagged in, by the same privacy rules as
+//          their own posts
+// @access  Private
+router.get('/tagged/:userId', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+    const userId = req.params.userId;
+
+    const targetUser = mongoose.isValidObjectId(userId) && await User.findById(userId);
+
+    if (!targetUser || await User.isBlockedBetween(req.user.id, userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const blockedIds = await User.getBlockedIds(req.user.id);
+    const filter = { taggedUsers: targetUser._id, ...visiblePostsFilter(req.user, blockedIds) };
+    const posts = await Post.findSummaries(filter, {
+      viewerId: req.user._id,
+      hiddenUserIds: blockedIds,
+      sort: NEWEST_FIRST,
+      limit: parseInt(limit),
+      skip
+    });
+    await attachSharedPosts(posts, req.user, blockedIds);
+
+    const total = await Post.countDocuments(filter);
+
+    res.json({
+      success: true,
+      posts,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get tagged posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/posts/tag-requests
+// @desc    Get posts waiting for the current user to approve their tag
+// @access  Private
+router.get('/tag-requests', auth, async (req, res) => {
+  try {
+    const blockedIds = await User.getBlockedIds(req.user.id);
+    const posts = await Post.findSummaries(
+      { pendingTags: req.user._id, ...visiblePostsFilter(req.user, blockedIds) },
+      { viewerId: req.user._id, hiddenUserIds: blockedIds, sort: NEWEST_FIRST, limit: MAX_FEED_LIMIT }
+    );
+    await attachSharedPosts(posts, req.user, blockedIds);
+
+    res.json({
+      success: true,
+      posts
+    });
+  } catch (error) {
+    console.error('Get tag requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/tag/approve
+// @desc    Approve a pending tag of the current user
+// @access  Private (pending tagged user)
+router.post('/:id/tag/approve', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    const blockedIds = await User.getBlockedIds(req.user.id);
+
+    if (!post || !post.pendingTags.some(id => id.equals(req.user._id)) || !canViewPost(post, req.user, blockedIds)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag request not found'
+      });
+    }
+
+    post.pendingTags.pull(req.user._id);
+    post.taggedUsers.addToSet(req.user._id);
+    await post.save();
+
+    res.json({
+      success: true,
+      message: 'Tag approved'
+    });
+  } catch (error) {
+    console.error('Approve tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/posts/:id/tag
+// @desc    Remove the current user's tag from a post, or decline a pending
+//          one. The author can't tag them in the post again.
+// @access  Private (tagged user)
+router.delete('/:id/tag', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    const isTagged = post && [...post.taggedUsers, ...post.pendingTags].some(id => id.equals(req.user._id));
+
+    if (!isTagged) {
+      return res.status(404).json({
+        success: false,
+        message: "You aren't tagged in this post"
+      });
+    }
+
+    post.taggedUsers.pull(req.user._id);
+    post.pendingTags.pull(req.user._id);
+    post.removedTags.addToSet(req.user._id);
+    await post.save();
+
+    res.json({
+      success: true,
+      message: 'Tag removed'
+    });
+  } catch (error) {
+    console.error('Remove tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/react
+// @desc    Add or change the current user's reaction
 // @access  Private
-router.post('/:id/like', auth, async (req, res) => {
+router.post('/:id/react', auth, [
+  body('type').isIn(Post.reactionTypes).withMessage('Invalid reaction type')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const post = await Post.findById(req.params.id);
+    const blockedIds = await User.getBlockedIds(req.user.id);
 
-    if (!post) {
+    if (!post || !canViewPost(post, req.user, blockedIds)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
-    const likeIndex = post.likes.findIndex(
-      like => like.user.toString() === req.user.id
+    const { type } = req.body;
+    const existing = post.reactions.find(
+      reaction => reaction.user.toString() === req.user.id
     );
 
-    if (likeIndex > -1) {
-      // Unlike the post
-      post.likes.splice(likeIndex, 1);
+    if (existing) {
+      existing.type = type;
+      existing.createdAt = new Date();
     } else {
-      // Like the post
-      post.likes.push({
+      post.reactions.push({
         user: req.user.id,
+        type,
         createdAt: new Date()
       });
     }
 
     await post.save();
-    await post.populate('likes.user', 'firstName lastName profilePicture');
+
+    // Only a brand-new reaction notifies; changing its type does not
+    if (!existing) {
+      await createNotification(req.app.get('io'), {
+        recipient: post.author,
+        actor: req.user.id,
+        type: 'reaction',
+        post: post._id
+      });
+    }
 
     res.json({
       success: true,
-      message: likeIndex > -1 ? 'Post unliked' : 'Post liked',
-      likes: post.likes,
-      likeCount: post.likeCount
+      message: 'Reaction saved',
+      viewerReaction: type,
+      reactionCounts: post.reactionCounts,
+      reactionCount: post.reactionCount
     });
   } catch (error) {
-    console.error('Like post error:', error);
+    console.error('React to post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/posts/:id/react
+// @desc    Remove the current user's reaction
+// @access  Private
+router.delete('/:id/react', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    const blockedIds = await User.getBlockedIds(req.user.id);
+
+    if (!post || !canViewPost(post, req.user, blockedIds)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    post.reactions = post.reactions.filter(
+      reaction => reaction.user.toString() !== req.user.id
+    );
+    await post.save();
+
+    res.json({
+      success: true,
+      message: 'Reaction removed',
+      viewerReaction: null,
+      reactionCounts: post.reactionCounts,
+      reactionCount: post.reactionCount
+    });
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/reactions
+// @desc    Get who reacted to a post, optionally filtered by type
+// @access  Private
+router.get('/:id/reactions', auth, async (req, res) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    if (type && !Post.reactionTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reaction type'
+      });
+    }
+
+    const post = await Post.findById(req.params.id)
+      .select('author privacy audience reactions')
+      .populate('reactions.user', 'firstName lastName profilePicture');
+    const blockedIds = await User.getBlockedIds(req.user.id);
+
+    if (!post || !canViewPost(post, req.user, blockedIds)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const hiddenIds = new Set(blockedIds.map(id => id.toString()));
+    const matching = post.reactions
+      .filter(reaction => reaction.user && !hiddenIds.has(reaction.user._id.toString()))
+      .filter(reaction => !type || reaction.type === type)
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    res.json({
+      success: true,
+      reactions: matching.slice(skip, skip + parseInt(limit)),
+      reactionCounts: post.reactionCounts,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(matching.length / limit),
+        total: matching.length
+      }
+    });
+  } catch (error) {
+    console.error('Get reactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/comments
+// @desc    Get comment threads for a post
+// @access  Private
+router.get('/:id/comments', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const post = await Post.findById(req.params.id)
+      .select('author privacy audience comments')
+      .populate('comments.user', 'firstName lastName profilePicture')
+      .populate('comments.mentions', 'firstName lastName');
+    const blockedIds = await User.getBlockedIds(req.user.id);
+
+    if (!post || !canViewPost(post, req.user, blockedIds)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Comments from blocked users are left out, along with the replies under them
+    const hiddenIds = new Set(blockedIds.map(id => id.toString()));
+    const repliesByParent = new Map();
+    const topLevel = [];
+    for (const comment of post.comments) {
+      if (comment.user && hiddenIds.has(comment.user._id.toString())) continue;
+      if (comment.parent) {
+        const key = comment.parent.toString();
+        if (!repliesByParent.has(key)) repliesByParent.set(key, []);
+        repliesByParent.get(key).push(comment);
+      } else {
+        topLevel.push(comment);
+      }
+    }
+
+    // Newest threads first, replies in the order they were written
+    topLevel.sort((a, b) => b.createdAt - a.createdAt);
+    const comments = topLevel
+      .slice(skip, skip + parseInt(limit))
+      .map(comment => buildThread(comment, repliesByParent));
+
+    res.json({
+      success: true,
+      comments,
+      commentCount: post.commentCount,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(topLevel.length / limit),
+        total: topLevel.length
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/revisions
+// @desc    Get earlier versions of an edited post, newest first
+// @access  Private
+router.get('/:id/revisions', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('author privacy audience revisions');
+    const blockedIds = await User.getBlockedIds(req.user.id);
+
+    if (!post || !canViewPost(post, req.user, blockedIds)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      revisions: [...post.revisions].reverse()
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/share
+// @desc    Share a post to your own timeline, with optional commentary.
+//          Sharing a share shares its original.
+// @access  Private
+router.post('/:id/share', auth, rateLimit(policies.createPost), [
+  body('content').optional().trim()
+    .isLength({ max: 2000 }).withMessage('Post content cannot exceed 2000 characters'),
+  body('privacy').optional().isIn(Post.privacyOptions).withMessage('Invalid privacy setting')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('author privacy audience sharedPost');
+    const original = post && post.sharedPost
+      ? await Post.findById(post.sharedPost).select('author privacy audience')
+      : post;
+    const blockedIds = await User.getBlockedIds(req.user.id);
+
+    if (!post || !canViewPost(post, req.user, blockedIds)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!original || !canViewPost(original, req.user, blockedIds)) {
+      return res.status(404).json({
+        success: false,
+        message: 'This content is no longer available'
+      });
+    }
+
+    // Sharing a post meant for a list would pass it on to people outside it
+    if (!['public', 'friends'].includes(original.privacy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only public and friends posts can be shared'
+      });
+    }
+
+    const { content = '', privacy = 'friends', audienceList } = req.body;
+    const audience = await resolveAudience(req.user, privacy, audienceList);
+    if (audience.error) {
+      return res.status(400).json({
+        success: false,
+        message: audience.error
+      });
+    }
+
+    const mentioned = await resolveMentions(content, req.user, blockedIds);
+    const share = await Post.create({
+      author: req.user.id,
+      content,
+      privacy,
+      audienceList: audience.audienceList,
+      audience: audience.audience,
+      sharedPost: original._id,
+      hashtags: extractHashtags(content),
+      mentions: mentioned.map(user => user._id)
+    });
+
+    // Only tell the original author about shares they're allowed to see
+    const io = req.app.get('io');
+    const originalAuthor = await User.findById(original.author).select('friends');
+    if (originalAuthor && canViewPost(share, originalAuthor)) {
+      await createNotification(io, {
+        recipient: original.author,
+        actor: req.user.id,
+        type: 'share',
+        post: share._id
+      });
+    }
+    await notifyMentions(io, mentioned, { post: share, actorId: req.user.id, except: [original.author] });
+
+    const [summary] = await attachSharedPosts(
+      await Post.findSummaries({ _id: share._id }, { viewerId: req.user._id, hiddenUserIds: blockedIds, sort: { _id: 1 }, limit: 1 }),
+      req.user,
+      blockedIds
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Post shared',
+      post: summary
+    });
+  } catch (error) {
+    console.error('Share post error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -295,11 +928,12 @@ router.post('/:id/like', auth, async (req, res) => {
 });
 
 // @route   POST /api/posts/:id/comment
-// @desc    Add comment to post
+// @desc    Add comment or reply to post
 // @access  Private
-router.post('/:id/comment', auth, [
+router.post('/:id/comment', auth, rateLimit(policies.comment), [
   body('content').trim().notEmpty().withMessage('Comment content is required')
-    .isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+    .isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters'),
+  body('parentId').optional({ nullable: true }).isMongoId().withMessage('Invalid parent comment')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -311,26 +945,71 @@ router.post('/:id/comment', auth, [
       });
     }
 
-    const { content } = req.body;
+    const { content, parentId } = req.body;
     const post = await Post.findById(req.params.id);
+    const blockedIds = await User.getBlockedIds(req.user.id);
 
-    if (!post) {
+    if (!post || !canViewPost(post, req.user, blockedIds)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
+    const parentComment = parentId ? post.comments.id(parentId) : null;
+    const parentHidden = parentComment && blockedIds.some(id => id.equals(parentComment.user));
+    if (parentId && (!parentComment || parentHidden)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent comment not found'
+      });
+    }
+
+    const mentioned = await resolveMentions(content, req.user, blockedIds);
     const comment = {
       user: req.user.id,
       content,
+      mentions: mentioned.map(user => user._id),
+      parent: parentId || null,
       createdAt: new Date()
     };
 
     post.comments.push(comment);
     await post.save();
 
-    await post.populate('comments.user', 'firstName lastName profilePicture');
+    const newComment = post.comments[post.comments.length - 1];
+    const io = req.app.get('io');
+
+    // Notify the author of the comment being replied to, then the post owner
+    if (parentComment) {
+      await createNotification(io, {
+        recipient: parentComment.user,
+        actor: req.user.id,
+        type: 'reply',
+        post: post._id,
+        comment: newComment._id
+      });
+    }
+    if (!parentComment || parentComment.user.toString() !== post.author.toString()) {
+      await createNotification(io, {
+        recipient: post.author,
+        actor: req.user.id,
+        type: 'comment',
+        post: post._id,
+        comment: newComment._id
+      });
+    }
+    await notifyMentions(io, mentioned, {
+      post,
+      comment: newComment._id,
+      actorId: req.user.id,
+      except: [post.author, ...(parentComment ? [parentComment.user] : [])]
+    });
+
+    await post.populate([
+      { path: 'comments.user', select: 'firstName lastName profilePicture' },
+      { path: 'comments.mentions', select: 'firstName lastName' }
+    ]);
 
     res.json({
       success: true,
@@ -347,6 +1026,302 @@ router.post('/:id/comment', auth, [
   }
 });
 
+// @route   PUT /api/posts/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (comment author)
+router.put('/:id/comments/:commentId', auth, [
+  body('content').trim().notEmpty().withMessage('Comment content is required')
+    .isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+    const comment = post && post.comments.id(req.params.commentId);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    const blockedIds = await User.getBlockedIds(req.user.id);
+    const previouslyMentioned = [...comment.mentions];
+    const mentioned = await resolveMentions(req.body.content, req.user, blockedIds);
+
+    comment.content = req.body.content;
+    comment.mentions = mentioned.map(user => user._id);
+    comment.editedAt = new Date();
+    await post.save();
+
+    await notifyMentions(req.app.get('io'), mentioned, {
+      post,
+      comment: comment._id,
+      actorId: req.user.id,
+      except: previouslyMentioned
+    });
+
+    await post.populate([
+      { path: 'comments.user', select: 'firstName lastName profilePicture' },
+      { path: 'comments.mentions', select: 'firstName lastName' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      comment: post.comments.id(req.params.commentId)
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @desc    Delete a comment and its replies
+// @access  Private (comment author or post owner)
+router.delete('/:id/comments/:commentId', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    const comment = post && post.comments.id(req.params.commentId);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const isCommentAuthor = comment.user.toString() === req.user.id;
+    const isPostOwner = post.author.toString() === req.user.id;
+    if (!isCommentAuthor && !isPostOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    post.removeCommentThreads([comment._id]);
+    await post.save();
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+      commentCount: post.commentCount
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/posts/:id
+// @desc    Edit a post's content, privacy, tagged users and media. Sent as
+//          multipart: new files in `media`, and `taggedUsers` and
+//          `removeMedia` (ids of images and videos to drop) as JSON arrays.
+//          Changing the content or media keeps the old version as a revision.
+//          Sending `privacy` (with `audienceList` for list audiences) sets
+//          the audience afresh.
+// @access  Private (post author)
+router.put('/:id',
+  auth,
+  rateLimit(policies.createPost),
+  (req, res, next) => {
+    uploadMedia(req, res, function(err) {
+      if (err) {
+        return handleUploadErrors(err, req, res, next);
+      }
+      next();
+    });
+  },
+  [
+    body('content').optional().isString()
+      .isLength({ max: 2000 }).withMessage('Post content cannot exceed 2000 characters'),
+    body('privacy').optional().isIn(Post.privacyOptions).withMessage('Invalid privacy setting'),
+    body('taggedUsers').optional().custom(value => parseIdList(value) !== null).withMessage('Invalid tagged users'),
+    body('removeMedia').optional().custom(value => parseIdList(value) !== null).withMessage('Invalid media to remove')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const post = await Post.findById(req.params.id);
+
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found'
+        });
+      }
+
+      if (post.author.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to edit this post'
+        });
+      }
+
+      const files = req.files || [];
+      const removeIds = new Set(req.body.removeMedia ? parseIdList(req.body.removeMedia) : []);
+      const removedImages = post.images.filter(media => removeIds.has(media._id.toString()));
+      const removedVideos = post.videos.filter(media => removeIds.has(media._id.toString()));
+      const keptMediaCount = post.images.length + post.videos.length - removedImages.length - removedVideos.length;
+      const content = req.body.content !== undefined ? req.body.content : post.content;
+
+      if (post.sharedPost && files.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Shared posts cannot have media'
+        });
+      }
+
+      if (keptMediaCount + files.length > MAX_POST_MEDIA) {
+        return res.status(400).json({
+          success: false,
+          message: `A post can have at most ${MAX_POST_MEDIA} media files`
+        });
+      }
+
+      // Media-only posts stay editable as long as some media is left
+      const contentError = checkPostContent({
+        content,
+        mediaCount: keptMediaCount + files.length,
+        isShare: !!post.sharedPost
+      });
+      if (contentError) {
+        return res.status(400).json({
+          success: false,
+          message: contentError
+        });
+      }
+
+      const audience = req.body.privacy
+        ? await resolveAudience(req.user, req.body.privacy, req.body.audienceList)
+        : null;
+      if (audience && audience.error) {
+        return res.status(400).json({
+          success: false,
+          message: audience.error
+        });
+      }
+
+      // `taggedUsers` lists everyone who should stay tagged, pending or not.
+      // A new audience re-checks the current tags when it leaves them alone.
+      const tagIds = req.body.taggedUsers
+        ? parseIdList(req.body.taggedUsers)
+        : req.body.privacy && [...post.taggedUsers, ...post.pendingTags];
+      const tags = tagIds
+        ? await resolveTags(req.user, tagIds, { privacy: req.body.privacy || post.privacy, post })
+        : null;
+      if (tags && tags.error) {
+        return res.status(400).json({
+          success: false,
+          message: tags.error
+        });
+      }
+
+      let uploaded;
+      try {
+        uploaded = await uploadPostMedia(files, req.user.id);
+      } catch (uploadError) {
+        return res.status(400).json({
+          success: false,
+          message: uploadError.message || 'Error uploading media files'
+        });
+      }
+
+      const changesContent = content !== post.content ||
+        removedImages.length + removedVideos.length > 0 ||
+        files.length > 0;
+      if (changesContent) {
+        post.recordRevision();
+        post.content = content;
+        post.images = [...post.images.filter(media => !removeIds.has(media._id.toString())), ...uploaded.images];
+        post.videos = [...post.videos.filter(media => !removeIds.has(media._id.toString())), ...uploaded.videos];
+      }
+
+      if (audience) {
+        post.privacy = req.body.privacy;
+        post.audienceList = audience.audienceList;
+        post.audience = audience.audience;
+      }
+
+      const blockedIds = await User.getBlockedIds(req.user.id);
+      const previouslyMentioned = [...post.mentions];
+      const mentioned = await resolveMentions(post.content, req.user, blockedIds);
+      post.hashtags = extractHashtags(post.content);
+      post.mentions = mentioned.map(user => user._id);
+
+      // Only people tagged or mentioned by this edit hear about it
+      const newTags = { tagged: [], pending: [] };
+      if (tags) {
+        const previous = new Set([...post.taggedUsers, ...post.pendingTags].map(id => id.toString()));
+        newTags.tagged = tags.tagged.filter(id => !previous.has(id.toString()));
+        newTags.pending = tags.pending.filter(id => !previous.has(id.toString()));
+        post.taggedUsers = tags.tagged;
+        post.pendingTags = tags.pending;
+      }
+
+      await post.save();
+      await deletePostMedia({ images: removedImages, videos: removedVideos });
+
+      const io = req.app.get('io');
+      await notifyTags(io, newTags, { post, actorId: req.user.id });
+      await notifyMentions(io, mentioned, {
+        post,
+        actorId: req.user.id,
+        except: [...previouslyMentioned, ...newTags.tagged, ...newTags.pending]
+      });
+
+      const [summary] = await attachSharedPosts(
+        await Post.findSummaries({ _id: post._id }, { viewerId: req.user._id, hiddenUserIds: blockedIds, sort: { _id: 1 }, limit: 1 }),
+        req.user,
+        blockedIds
+      );
+
+      res.json({
+        success: true,
+        message: 'Post updated successfully',
+        post: summary
+      });
+    } catch (error) {
+      console.error('Edit post error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
 // @route   DELETE /api/posts/:id
 // @desc    Delete a post
 // @access  Private
@@ -370,14 +1345,7 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Delete media files from Cloudinary
-    const mediaToDelete = [...post.images, ...post.videos];
-    for (const media of mediaToDelete) {
-      try {
-        await deleteFromCloudinary(media.publicId);
-      } catch (deleteError) {
-        console.error('Error deleting media:', deleteError);
-      }
-    }
+    await deletePostMedia(post);
 
     await Post.findByIdAndDelete(req.params.id);
 
@@ -0,0 +1,101 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { policies } = rateLimit;
+const { describeReportTarget } = require('../utils/moderation');
+const { getMessageParticipants } = require('../utils/messaging');
+
+const router = express.Router();
+
+// @route   POST /api/reports
+// @desc    Report a post, comment, message or profile
+// @access  Private
+router.post('/', auth, rateLimit(policies.report), [
+  body('targetType').isIn(Report.targetTypes).withMessage('Invalid report type'),
+  body('targetId').isMongoId().withMessage('Invalid report target'),
+  body('postId')
+    .if(body('targetType').equals('comment'))
+    .isMongoId().withMessage('Post ID is required when reporting a comment'),
+  body('reason').isIn(Report.reasons).withMessage('Invalid report reason'),
+  body('details').optional().trim()
+    .isLength({ max: 1000 }).withMessage('Details cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { targetType, targetId, postId, reason, details = '' } = req.body;
+
+    const target = await describeReportTarget({ targetType, targetId, post: postId }, req.user);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    // Only people in a conversation can report its messages
+    if (target.message) {
+      const participants = await getMessageParticipants(target.message);
+      if (!participants.includes(req.user.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not found'
+        });
+      }
+    }
+
+    if (target.targetUser.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own content'
+      });
+    }
+
+    // One open report per person and target is enough
+    const existing = await Report.findOne({
+      reporter: req.user.id,
+      targetType,
+      targetId,
+      status: { $in: ['open', 'reviewing'] }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this'
+      });
+    }
+
+    await Report.create({
+      reporter: req.user.id,
+      targetType,
+      targetId,
+      post: target.post,
+      targetUser: target.targetUser,
+      snapshot: target.snapshot,
+      reason,
+      details
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks, our moderators will review your report'
+    });
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
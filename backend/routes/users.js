@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const AudienceList = require('../models/AudienceList');
 const auth = require('../middleware/auth');
 const { uploadImage, uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
 
@@ -11,6 +12,17 @@ const router = express.Router();
 // @access  Private
 router.get('/profile/:id', auth, async (req, res) => {
   try {
+    const currentUser = await User.findById(req.user.id).select('blockedUsers mutedUsers');
+
+    // Someone who blocked you looks like they don't exist
+    const blockedMe = await User.exists({ _id: req.params.id, blockedUsers: req.user.id });
+    if (blockedMe) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
     const user = await User.findById(req.params.id)
       .select('-password')
       .populate('friends', 'firstName lastName profilePicture isOnline')
@@ -27,6 +39,8 @@ router.get('/profile/:id', auth, async (req, res) => {
     // Check if the requesting user is a friend or the same user
     const isFriend = user.friends.some(friend => friend._id.toString() === req.user.id);
     const isOwnProfile = user._id.toString() === req.user.id;
+    const isBlocked = currentUser.blockedUsers.some(id => id.equals(user._id));
+    const isMuted = currentUser.mutedUsers.some(id => id.equals(user._id));
 
     // Hide sensitive information if not a friend or own profile
     let userData = user.toJSON();
@@ -35,12 +49,30 @@ router.get('/profile/:id', auth, async (req, res) => {
       delete userData.friendRequests;
       delete userData.sentFriendRequests;
     }
+    if (!isOwnProfile) {
+      delete userData.blockedUsers;
+      delete userData.mutedUsers;
+      delete userData.requireTagApproval;
+      // Account security stays private too, so nobody can pick out
+      // accounts without two-factor authentication
+      delete userData.twoFactorEnabled;
+      delete userData.isEmailVerified;
+      delete userData.emailVerifiedAt;
+    }
+    // Only moderators see whether someone is suspended
+    delete userData.suspendedUntil;
+    delete userData.suspendedPermanently;
+    delete userData.suspensionReason;
+    const canModerate = req.user.role === 'moderator' || req.user.role === 'admin';
 
     res.json({
       success: true,
       user: userData,
       isFriend,
-      isOwnProfile
+      isOwnProfile,
+      isBlocked,
+      isMuted,
+      ...(canModerate && { suspension: user.getSuspension() })
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -58,7 +90,8 @@ router.put('/profile', auth, [
   body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
   body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
   body('bio').optional().isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters'),
-  body('location').optional().isLength({ max: 100 }).withMessage('Location cannot exceed 100 characters')
+  body('location').optional().isLength({ max: 100 }).withMessage('Location cannot exceed 100 characters'),
+  body('requireTagApproval').optional().isBoolean().withMessage('Tag approval must be true or false').toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -70,7 +103,7 @@ router.put('/profile', auth, [
       });
     }
 
-    const { firstName, lastName, bio, location, dateOfBirth } = req.body;
+    const { firstName, lastName, bio, location, dateOfBirth, requireTagApproval } = req.body;
     
     const updateFields = {};
     if (firstName) updateFields.firstName = firstName;
@@ -78,6 +111,7 @@ router.put('/profile', auth, [
     if (bio !== undefined) updateFields.bio = bio;
     if (location !== undefined) updateFields.location = location;
     if (dateOfBirth) updateFields.dateOfBirth = dateOfBirth;
+    if (requireTagApproval !== undefined) updateFields.requireTagApproval = requireTagApproval;
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
@@ -166,10 +200,11 @@ router.get('/search', auth, async (req, res) => {
 
     const searchRegex = new RegExp(q.trim(), 'i');
     const skip = (page - 1) * limit;
+    const blockedIds = await User.getBlockedIds(req.user.id);
 
     const users = await User.find({
       $and: [
-        { _id: { $ne: req.user.id } }, // Exclude current user
+        { _id: { $nin: [req.user.id, ...blockedIds] } }, // Exclude current and blocked users
         {
           $or: [
             { firstName: searchRegex },
@@ -186,7 +221,7 @@ router.get('/search', auth, async (req, res) => {
 
     const total = await User.countDocuments({
       $and: [
-        { _id: { $ne: req.user.id } },
+        { _id: { $nin: [req.user.id, ...blockedIds] } },
         {
           $or: [
             { firstName: searchRegex },
@@ -224,15 +259,18 @@ router.get('/suggestions', auth, async (req, res) => {
     const friendIds = currentUser.friends;
     const sentRequestIds = currentUser.sentFriendRequests.map(req => req.to);
     const receivedRequestIds = currentUser.friendRequests.map(req => req.from);
+    const blockedIds = await User.getBlockedIds(req.user.id);
 
-    // Get users who are not friends and haven't been sent/received friend requests
+    // Get users who are not friends, haven't been sent/received friend requests
+    // and aren't blocked either way
     const suggestions = await User.find({
       _id: {
         $nin: [
           req.user.id,
           ...friendIds,
           ...sentRequestIds,
-          ...receivedRequestIds
+          ...receivedRequestIds,
+          ...blockedIds
         ]
       }
     })
@@ -253,4 +291,159 @@ router.get('/suggestions', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/blocked
+// @desc    Get the users you have blocked
+// @access  Private
+router.get('/blocked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .populate('blockedUsers', 'firstName lastName profilePicture')
+      .select('blockedUsers');
+
+    res.json({
+      success: true,
+      users: user.blockedUsers
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/block
+// @desc    Block a user, ending any friendship and pending requests
+// @access  Private
+router.post('/:id/block', auth, async (req, res) => {
+  try {
+    const targetUserId = req.params.id;
+    const currentUserId = req.user.id;
+
+    if (targetUserId === currentUserId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    const targetUser = await User.findById(targetUserId).select('_id');
+    if (!targetUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Atomic updates: cut every tie in both directions
+    await Promise.all([
+      User.findByIdAndUpdate(currentUserId, {
+        $addToSet: { blockedUsers: targetUserId },
+        $pull: {
+          friends: targetUserId,
+          mutedUsers: targetUserId,
+          friendRequests: { from: targetUserId },
+          sentFriendRequests: { to: targetUserId }
+        }
+      }),
+      User.findByIdAndUpdate(targetUserId, {
+        $pull: {
+          friends: currentUserId,
+          mutedUsers: currentUserId,
+          friendRequests: { from: currentUserId },
+          sentFriendRequests: { to: currentUserId }
+        }
+      }),
+      AudienceList.removeBetween(currentUserId, targetUserId)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'User blocked'
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/block
+// @desc    Unblock a user
+// @access  Private
+router.delete('/:id/block', auth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { blockedUsers: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/mute
+// @desc    Hide a friend's posts from your feed without unfriending them
+// @access  Private
+router.post('/:id/mute', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.user.id).select('friends');
+
+    if (!currentUser.friends.some(id => id.toString() === req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You can only mute friends'
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user.id, {
+      $addToSet: { mutedUsers: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Friend muted'
+    });
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/mute
+// @desc    Show a muted friend's posts in your feed again
+// @access  Private
+router.delete('/:id/mute', auth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { mutedUsers: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Friend unmuted'
+    });
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
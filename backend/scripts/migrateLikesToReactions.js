@@ -0,0 +1,63 @@
+// One-off migration: move legacy `likes` entries on posts into `reactions`
+// with the "like" type. Safe to run more than once.
+//
+// Usage: npm run migrate:reactions
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Post = require('../models/Post');
+
+if (!process.env.MONGODB_URI) {
+  console.error('FATAL: MONGODB_URI is not set. Please define it in backend/.env and restart.');
+  process.exit(1);
+}
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Work on the raw collection: `likes` is no longer part of the schema
+  const result = await Post.collection.updateMany(
+    { likes: { $exists: true } },
+    [
+      {
+        $set: {
+          reactions: {
+            $concatArrays: [
+              { $ifNull: ['$reactions', []] },
+              {
+                $map: {
+                  input: {
+                    // Skip users who already have a reaction on the post
+                    $filter: {
+                      input: '$likes',
+                      as: 'like',
+                      cond: {
+                        $not: { $in: ['$$like.user', { $ifNull: ['$reactions.user', []] }] }
+                      }
+                    }
+                  },
+                  as: 'like',
+                  in: {
+                    _id: '$$like._id',
+                    user: '$$like.user',
+                    type: 'like',
+                    createdAt: '$$like.createdAt'
+                  }
+                }
+              }
+            ]
+          }
+        }
+      },
+      { $unset: 'likes' }
+    ]
+  );
+
+  console.log(`Migrated likes on ${result.modifiedCount} posts`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,44 @@
+// Give a user a role from the command line, e.g. to create the first admin
+// (after that, admins can manage roles through the moderation API).
+//
+// Usage: npm run set-role -- <email> <user|moderator|admin>
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+const { ROLES } = require('../middleware/requireRole');
+
+if (!process.env.MONGODB_URI) {
+  console.error('FATAL: MONGODB_URI is not set. Please define it in backend/.env and restart.');
+  process.exit(1);
+}
+
+const [email, role] = process.argv.slice(2);
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const setRole = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user with email ${email}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`${user.email} is now ${user.role}`);
+};
+
+setRole()
+  .catch(err => {
+    console.error('Set role error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
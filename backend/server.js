@@ -5,6 +5,11 @@ const http = require('http');
 const socketIo = require('socket.io');
 require('dotenv').config();
 const Message = require('./models/Message');
+const Conversation = require('./models/Conversation');
+const User = require('./models/User');
+const socketAuth = require('./middleware/socketAuth');
+const { socketRateLimit } = require('./middleware/rateLimit');
+const { checkCanMessage, claimAttachment } = require('./utils/messaging');
 
 // Ensure critical env vars exist
 if (!process.env.JWT_SECRET) {
@@ -22,9 +27,19 @@ const userRoutes = require('./routes/users');
 const postRoutes = require('./routes/posts');
 const friendRoutes = require('./routes/friends');
 const messageRoutes = require('./routes/messages');
+const conversationRoutes = require('./routes/conversations');
+const notificationRoutes = require('./routes/notifications');
+const reportRoutes = require('./routes/reports');
+const moderationRoutes = require('./routes/moderation');
+const hashtagRoutes = require('./routes/hashtags');
+const audienceListRoutes = require('./routes/audienceLists');
 
 const app = express();
 const server = http.createServer(app);
+// Behind a reverse proxy, rate limits need the client's IP rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 const allowedOrigins = [
   process.env.FRONTEND_URL,
   'http://localhost:3000'
@@ -43,6 +58,8 @@ const io = socketIo(server, {
     credentials: true
   }
 });
+// Expose io to routes so they can push real-time events
+app.set('io', io);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -55,49 +72,149 @@ mongoose.connect(process.env.MONGODB_URI, {
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Socket.io for real-time messaging
-const activeUsers = new Map(); // userId -> socketId
-const socketToUser = new Map(); // socketId -> userId
+const activeUsers = new Map(); // userId -> Set of socketIds (one per tab)
+
+// Persist a presence change and tell the user's friends about it
+const broadcastPresence = async (userId, isOnline) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { isOnline, lastSeen: new Date() } },
+      { new: true, timestamps: false }
+    ).select('friends');
+
+    if (user && user.friends.length > 0) {
+      io.to(user.friends.map(friendId => friendId.toString()))
+        .emit(isOnline ? 'userOnline' : 'userOffline', userId);
+    }
+    return user;
+  } catch (err) {
+    console.error('Presence update error:', err);
+    return null;
+  }
+};
+
+// Mark messages waiting for a user as delivered and tell their senders
+const markPendingDelivered = async (userId) => {
+  try {
+    const pending = { receiver: userId, deliveredAt: null };
+    const senderIds = await Message.distinct('sender', pending);
+    if (senderIds.length === 0) return;
+
+    const deliveredAt = new Date();
+    await Message.updateMany(pending, { deliveredAt });
+    io.to(senderIds.map(senderId => senderId.toString()))
+      .emit('messagesDelivered', { userId, deliveredAt });
+  } catch (err) {
+    console.error('Mark delivered error:', err);
+  }
+};
+
+// Resolve who should see a typing indicator, applying the same rules as sending
+const getTypingTargets = async (userId, { receiverId, conversationId } = {}) => {
+  if (conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation || !conversation.isMember(userId)) return [];
+    return conversation.members
+      .map(member => member.toString())
+      .filter(memberId => memberId !== userId);
+  }
+  if (receiverId && !(await checkCanMessage(userId, receiverId))) {
+    return [receiverId];
+  }
+  return [];
+};
 
-io.on('connection', (socket) => {
+// Every connection must present a valid JWT
+io.use(socketAuth);
+
+io.on('connection', async (socket) => {
   console.log('User connected:', socket.id);
 
-  socket.on('join', (userId) => {
-    activeUsers.set(userId, socket.id);
-    socketToUser.set(socket.id, userId);
-    socket.join(userId);
-  });
+  // Rooms come from the verified identity, never from client input
+  const userId = socket.user._id.toString();
+  socket.join(userId);
+  // Lets a revoked session drop its live connections
+  socket.join(`session:${socket.sessionId}`);
+  // Throttle chatty events per user
+  socket.use(socketRateLimit(socket));
+
+  const sockets = activeUsers.get(userId) || new Set();
+  const firstConnection = sockets.size === 0;
+  sockets.add(socket.id);
+  activeUsers.set(userId, sockets);
 
   socket.on('sendMessage', async (data, ack) => {
     try {
-      const senderId = socketToUser.get(socket.id);
-      if (!senderId) {
-        if (ack) ack({ success: false, message: 'Not joined' });
+      const { receiverId, conversationId, content = '', attachmentId } = data || {};
+      const text = typeof content === 'string' ? content.trim() : '';
+      if ((!receiverId && !conversationId) || (!text && !attachmentId)) {
+        if (ack) ack({ success: false, message: 'receiverId or conversationId and content or an attachmentId are required' });
+        return;
+      }
+
+      // Group message: deliver to every member's room
+      if (conversationId) {
+        const conversation = await Conversation.findById(conversationId);
+        if (!conversation || !conversation.isMember(userId)) {
+          if (ack) ack({ success: false, message: 'You are not a member of this conversation' });
+          return;
+        }
+
+        const attachmentFields = await claimAttachment(userId, attachmentId);
+        if (!attachmentFields) {
+          if (ack) ack({ success: false, message: 'Invalid attachment' });
+          return;
+        }
+
+        let groupMessage = new Message({
+          sender: userId,
+          conversation: conversationId,
+          content: text,
+          ...attachmentFields,
+          readBy: [userId]
+        });
+        await groupMessage.save();
+        groupMessage = await groupMessage.populate('sender', 'firstName lastName profilePicture');
+
+        conversation.lastMessageAt = groupMessage.createdAt;
+        await conversation.save();
+
+        io.to(conversation.members.map(member => member.toString())).emit('receiveMessage', groupMessage);
+
+        if (ack) ack({ success: true, message: groupMessage });
         return;
       }
 
-      const { receiverId, content, messageType = 'text', fileUrl = '' } = data || {};
-      if (!receiverId || !content || typeof content !== 'string' || !content.trim()) {
-        if (ack) ack({ success: false, message: 'receiverId and non-empty content are required' });
+      // Same permission rules as POST /api/messages
+      const denied = await checkCanMessage(userId, receiverId);
+      if (denied) {
+        if (ack) ack({ success: false, message: denied.message });
+        return;
+      }
+
+      const attachmentFields = await claimAttachment(userId, attachmentId);
+      if (!attachmentFields) {
+        if (ack) ack({ success: false, message: 'Invalid attachment' });
         return;
       }
 
       // Persist message
       let message = new Message({
-        sender: senderId,
+        sender: userId,
         receiver: receiverId,
-        content: content.trim(),
-        messageType,
-        fileUrl
+        content: text,
+        ...attachmentFields,
+        deliveredAt: activeUsers.has(receiverId) ? new Date() : undefined
       });
       await message.save();
       message = await message
         .populate('sender', 'firstName lastName profilePicture')
         .populate('receiver', 'firstName lastName profilePicture');
 
-      // Emit to receiver (if online) and sender
-      const receiverSocketId = activeUsers.get(receiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('receiveMessage', message);
+      // Emit to every tab of the receiver (if online) and the sender
+      if (activeUsers.has(receiverId)) {
+        io.to(receiverId).emit('receiveMessage', message);
       }
       io.to(socket.id).emit('messageSent', message);
 
@@ -108,14 +225,67 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('disconnect', () => {
-    const userId = socketToUser.get(socket.id);
-    if (userId) {
-      activeUsers.delete(userId);
-      socketToUser.delete(socket.id);
+  socket.on('typing', async (data) => {
+    try {
+      const targets = await getTypingTargets(userId, data);
+      if (targets.length === 0) return;
+      io.to(targets).emit('typing', {
+        userId,
+        firstName: socket.user.firstName,
+        conversationId: data.conversationId || null
+      });
+    } catch (err) {
+      console.error('Socket typing error:', err);
+    }
+  });
+
+  socket.on('stopTyping', async (data) => {
+    try {
+      const targets = await getTypingTargets(userId, data);
+      if (targets.length === 0) return;
+      io.to(targets).emit('stopTyping', {
+        userId,
+        conversationId: data.conversationId || null
+      });
+    } catch (err) {
+      console.error('Socket stopTyping error:', err);
+    }
+  });
+
+  socket.on('disconnect', async () => {
+    const userSockets = activeUsers.get(userId);
+    if (userSockets) {
+      userSockets.delete(socket.id);
+      // Last tab closed: the user goes offline
+      if (userSockets.size === 0) {
+        activeUsers.delete(userId);
+        await broadcastPresence(userId, false);
+      }
     }
     console.log('User disconnected:', socket.id);
   });
+
+  // Only the first tab flips the user online
+  const user = firstConnection
+    ? await broadcastPresence(userId, true)
+    : await User.findById(userId).select('friends');
+
+  // Every tab may have closed while that was saved, with the offline update
+  // landing first; put the user back offline so they aren't stuck online
+  if (firstConnection && !activeUsers.has(userId)) {
+    await broadcastPresence(userId, false);
+    return;
+  }
+
+  await markPendingDelivered(userId);
+
+  // Seed the client with which friends are online right now
+  if (user) {
+    const onlineFriends = user.friends
+      .map(friendId => friendId.toString())
+      .filter(friendId => activeUsers.has(friendId));
+    socket.emit('onlineFriends', onlineFriends);
+  }
 });
 
 // Routes
@@ -124,6 +294,12 @@ app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/friends', friendRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/hashtags', hashtagRoutes);
+app.use('/api/audience-lists', audienceListRoutes);
 
 // Health check route
 app.get('/', (req, res) => {
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const { getRankingConfig, scorePost, rankPosts, findFeedPage } = require('../utils/feedRanking');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2024-06-01T12:00:00Z');
+const authorA = new mongoose.Types.ObjectId('aaaaaaaaaaaaaaaaaaaaaaaa');
+const authorB = new mongoose.Types.ObjectId('bbbbbbbbbbbbbbbbbbbbbbbb');
+
+// A text post with no engagement, `hoursOld` before `now`
+const makePost = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  author: authorA,
+  createdAt: new Date(now - (overrides.hoursOld || 0) * HOUR_MS),
+  reactionCount: 0,
+  commentCount: 0,
+  imageCount: 0,
+  videoCount: 0,
+  ...overrides
+});
+
+// Config that only weighs one signal
+const only = (signal, halfLifeHours = 24) => ({
+  weights: { recency: 0, engagement: 0, affinity: 0, content: 0, [signal]: 1 },
+  halfLifeHours
+});
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('recency halves every half-life', () => {
+  const config = only('recency', 24);
+  close(scorePost(makePost(), { now, config }), 1);
+  close(scorePost(makePost({ hoursOld: 24 }), { now, config }), 0.5);
+  close(scorePost(makePost({ hoursOld: 48 }), { now, config }), 0.25);
+  close(scorePost(makePost({ hoursOld: 12 }), { now, config: only('recency', 12) }), 0.5);
+});
+
+test('recency treats posts from the future as brand new', () => {
+  close(scorePost(makePost({ hoursOld: -5 }), { now, config: only('recency') }), 1);
+});
+
+test('engagement counts comments double and saturates at 100 interactions', () => {
+  const config = only('engagement');
+  close(scorePost(makePost(), { now, config }), 0);
+  close(
+    scorePost(makePost({ commentCount: 2 }), { now, config }),
+    scorePost(makePost({ reactionCount: 4 }), { now, config })
+  );
+  close(scorePost(makePost({ reactionCount: 100 }), { now, config }), 1);
+  close(scorePost(makePost({ commentCount: 50 }), { now, config }), 1);
+  close(scorePost(makePost({ reactionCount: 5000 }), { now, config }), 1);
+
+  const some = scorePost(makePost({ reactionCount: 10 }), { now, config });
+  assert.ok(some > 0 && some < 1);
+});
+
+test('affinity is weighted as given', () => {
+  close(scorePost(makePost(), { affinity: 0.3, now, config: only('affinity') }), 0.3);
+  close(scorePost(makePost(), { now, config: only('affinity') }), 0);
+});
+
+test('content prefers video over images over text', () => {
+  const config = only('content');
+  const video = scorePost(makePost({ videoCount: 1, imageCount: 2 }), { now, config });
+  const image = scorePost(makePost({ imageCount: 1 }), { now, config });
+  const text = scorePost(makePost(), { now, config });
+  assert.ok(video > image && image > text);
+});
+
+test('the score is the weighted sum of the signals', () => {
+  const config = { weights: { recency: 3, engagement: 2, affinity: 2, content: 1 }, halfLifeHours: 24 };
+  const post = makePost({ hoursOld: 24, reactionCount: 100, imageCount: 1 });
+  close(scorePost(post, { affinity: 0.5, now, config }), 3 * 0.5 + 2 * 1 + 2 * 0.5 + 1 * 0.7);
+});
+
+test('getRankingConfig reads overrides and falls back on bad values', () => {
+  assert.deepEqual(getRankingConfig({}), {
+    weights: { recency: 3, engagement: 2, affinity: 2, content: 1 },
+    halfLifeHours: 24
+  });
+  assert.deepEqual(getRankingConfig({
+    FEED_WEIGHT_RECENCY: '5',
+    FEED_WEIGHT_ENGAGEMENT: '0',
+    FEED_WEIGHT_AFFINITY: '-1',
+    FEED_WEIGHT_CONTENT: 'lots',
+    FEED_RECENCY_HALF_LIFE_HOURS: '12'
+  }), {
+    weights: { recency: 5, engagement: 0, affinity: 2, content: 1 },
+    halfLifeHours: 12
+  });
+  assert.equal(getRankingConfig({ FEED_RECENCY_HALF_LIFE_HOURS: '0' }).halfLifeHours, 24);
+});
+
+test('config overrides change the ranking', () => {
+  const fresh = makePost({ hoursOld: 1 });
+  const popular = makePost({ hoursOld: 72, reactionCount: 100 });
+  const affinities = new Map();
+
+  assert.deepEqual(rankPosts([popular, fresh], { affinities, now, config: only('recency') }), [fresh, popular]);
+  assert.deepEqual(rankPosts([fresh, popular], { affinities, now, config: only('engagement') }), [popular, fresh]);
+});
+
+test('rankPosts uses each author\'s affinity', () => {
+  const fromA = makePost({ author: authorA });
+  const fromB = makePost({ author: authorB });
+  const affinities = new Map([[authorB.toString(), 0.9]]);
+
+  assert.deepEqual(rankPosts([fromA, fromB], { affinities, now, config: only('affinity') }), [fromB, fromA]);
+});
+
+test('rankPosts breaks ties by newest, then by id', () => {
+  const config = only('content');
+  const affinities = new Map();
+  const older = makePost({ hoursOld: 2 });
+  const newer = makePost({ hoursOld: 1 });
+  assert.deepEqual(rankPosts([older, newer], { affinities, now, config }), [newer, older]);
+
+  const low = makePost({ _id: new mongoose.Types.ObjectId('000000000000000000000001') });
+  const high = makePost({ _id: new mongoose.Types.ObjectId('000000000000000000000002') });
+  assert.deepEqual(rankPosts([low, high], { affinities, now, config }), [high, low]);
+  assert.deepEqual(rankPosts([high, low], { affinities, now, config }), [high, low]);
+});
+
+// Enough of MongoDB's query matching for the filters findFeedPage builds
+const matches = (doc, query) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  if (condition && condition.$in) return condition.$in.some(value => String(value) === String(doc[key]));
+  return String(doc[key]) === String(condition);
+});
+
+test('findFeedPage drops posts the viewer can no longer see', async (t) => {
+  const posts = [1, 2, 3, 4].map(() => ({ _id: new mongoose.Types.ObjectId(), privacy: 'public' }));
+  t.mock.method(Post, 'findSummaries', async (query, { limit }) => posts.filter(post => matches(post, query)).slice(0, limit));
+
+  const ranking = { posts: [posts[2], posts[0], posts[3], posts[1]].map(post => post._id) };
+  const feedFilter = { privacy: 'public' };
+
+  const first = await findFeedPage(ranking, feedFilter, { offset: 0, limit: 2 });
+  assert.deepEqual(first.posts, [posts[2], posts[0]]);
+  assert.equal(first.hasMore, true);
+
+  // The author hides a post on the next page before it is requested
+  posts[3].privacy = 'private';
+
+  const second = await findFeedPage(ranking, feedFilter, { offset: 2, limit: 2 });
+  assert.deepEqual(second.posts, [posts[1]]);
+  assert.equal(second.hasMore, false);
+});
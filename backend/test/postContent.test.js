@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPostContent } = require('../utils/postContent');
+
+test('a post needs text or media', () => {
+  assert.equal(checkPostContent({ content: 'Hello', mediaCount: 0 }), null);
+  assert.equal(checkPostContent({ content: '', mediaCount: 1 }), null);
+  assert.equal(checkPostContent({ content: '   ', mediaCount: 0 }), 'Add text or at least one media file');
+  assert.equal(checkPostContent({ content: undefined, mediaCount: 0 }), 'Add text or at least one media file');
+});
+
+test('editing a media-only post is allowed while media remains', () => {
+  // e.g. only the privacy changes: the post keeps its two images
+  assert.equal(checkPostContent({ content: '', mediaCount: 2 }), null);
+  // Removing the last image without adding text leaves nothing
+  assert.equal(checkPostContent({ content: '', mediaCount: 0 }), 'Add text or at least one media file');
+});
+
+test('shares may be empty', () => {
+  assert.equal(checkPostContent({ content: '', mediaCount: 0, isShare: true }), null);
+});
+
+test('text is limited to 2000 characters', () => {
+  assert.equal(checkPostContent({ content: 'a'.repeat(2000) }), null);
+  assert.equal(checkPostContent({ content: 'a'.repeat(2001), mediaCount: 1 }), 'Post content cannot exceed 2000 characters');
+});
@@ -0,0 +1,148 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const Report = require('../models/Report');
+const AudienceList = require('../models/AudienceList');
+const FeedRanking = require('../models/FeedRanking');
+const PendingAttachment = require('../models/PendingAttachment');
+const { deletePostMedia, deleteMessageAttachment, deleteProfilePicture } = require('./cloudinary');
+const { revokeSessions } = require('./sessions');
+
+// Delete the messages matching `filter` along with their attachments
+const deleteMessages = async (filter) => {
+  const attachments = await Message.find({
+    ...filter,
+    filePublicId: { $exists: true, $ne: null }
+  }).select('filePublicId messageType');
+  for (const message of attachments) {
+    await deleteMessageAttachment(message);
+  }
+  await Message.deleteMany(filter);
+};
+
+// Remove a user and everything that belongs to them. Content other people
+// own (their posts, groups) is kept, minus the user's contributions.
+const deleteUserAccount = async (userId, io) => {
+  // Sign out every device first so nothing new is written mid-deletion
+  await revokeSessions(io, { user: userId });
+
+  const user = await User.findById(userId).select('profilePicture');
+  if (user) {
+    await deleteProfilePicture(user.profilePicture);
+  }
+
+  // Own posts and their media
+  const posts = await Post.find({ author: userId });
+  for (const post of posts) {
+    await deletePostMedia(post);
+  }
+  await Post.deleteMany({ author: userId });
+
+  // Reactions, tags, mentions, audiences and comment threads on other
+  // people's posts
+  await Post.updateMany(
+    {
+      $or: [
+        { 'reactions.user': userId },
+        { taggedUsers: userId },
+        { pendingTags: userId },
+        { removedTags: userId },
+        { mentions: userId },
+        { audience: userId }
+      ]
+    },
+    {
+      $pull: {
+        reactions: { user: userId },
+        taggedUsers: userId,
+        pendingTags: userId,
+        removedTags: userId,
+        mentions: userId,
+        audience: userId
+      }
+    }
+  );
+  const commentedPosts = await Post.find({ 'comments.user': userId });
+  for (const post of commentedPosts) {
+    post.removeCommentThreads(
+      post.comments.filter(comment => comment.user.toString() === userId.toString()).map(comment => comment._id)
+    );
+    await post.save();
+  }
+
+  // Direct messages both ways, plus anything the user sent to groups
+  await deleteMessages({ $or: [{ sender: userId }, { receiver: userId }] });
+
+  // Attachments uploaded but never sent
+  const pendingAttachments = await PendingAttachment.find({ uploader: userId });
+  for (const attachment of pendingAttachments) {
+    await deleteMessageAttachment(attachment);
+  }
+  await PendingAttachment.deleteMany({ uploader: userId });
+
+  // Leave every group, removing groups that end up empty
+  const groups = await Conversation.find({ members: userId });
+  for (const group of groups) {
+    group.members.pull(userId);
+    group.admins.pull(userId);
+
+    if (group.members.length === 0) {
+      await Promise.all([
+        deleteMessages({ conversation: group._id }),
+        Conversation.findByIdAndDelete(group._id)
+      ]);
+      continue;
+    }
+
+    if (group.admins.length === 0) {
+      group.admins.push(group.members[0]);
+    }
+    await group.save();
+
+    if (io) {
+      io.to(group.members.map(id => id.toString())).emit('conversationUpdated', {
+        conversationId: group._id
+      });
+    }
+  }
+
+  // Own audience lists, and membership of other people's
+  await AudienceList.deleteMany({ owner: userId });
+  await AudienceList.updateMany({ members: userId }, { $pull: { members: userId } });
+
+  // Friend lists, pending requests, blocks and mutes on other accounts
+  await User.updateMany(
+    {
+      $or: [
+        { friends: userId },
+        { 'friendRequests.from': userId },
+        { 'sentFriendRequests.to': userId },
+        { blockedUsers: userId },
+        { mutedUsers: userId }
+      ]
+    },
+    {
+      $pull: {
+        friends: userId,
+        friendRequests: { from: userId },
+        sentFriendRequests: { to: userId },
+        blockedUsers: userId,
+        mutedUsers: userId
+      }
+    }
+  );
+
+  await Notification.deleteMany({ $or: [{ recipient: userId }, { actor: userId }] });
+  // Reports by or about the user go; the moderation audit log is kept
+  await Report.deleteMany({ $or: [{ reporter: userId }, { targetUser: userId }] });
+  await FeedRanking.deleteMany({ viewer: userId });
+  await Session.deleteMany({ user: userId });
+  await User.findByIdAndDelete(userId);
+};
+
+module.exports = {
+  deleteUserAccount
+};
@@ -0,0 +1,50 @@
+const { sendMail } = require('./mailer');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+const frontendUrl = (pathname, token) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}?token=${token}`;
+};
+
+const sendVerificationEmail = (user, token) => {
+  const link = frontendUrl('/verify-email', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your SnapTalk email',
+    text: `Hi ${user.firstName},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p><a href="${link}">Confirm your email address</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = frontendUrl('/reset-password', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your SnapTalk password',
+    text: `Hi ${user.firstName},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p><a href="${link}">Reset your password</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
+
+// Tell the previous address about the change in case it was not the owner
+const sendEmailChangedNotice = (previousEmail, user) => {
+  return sendMail({
+    to: previousEmail,
+    subject: 'Your SnapTalk email was changed',
+    text: `Hi ${user.firstName},\n\nThe email address on your SnapTalk account was changed to ${user.email}. If you didn't do this, reset your password right away.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>The email address on your SnapTalk account was changed to ${escapeHtml(user.email)}. If you didn't do this, reset your password right away.</p>`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangedNotice
+};
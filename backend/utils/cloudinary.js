@@ -44,6 +44,35 @@ const uploadMedia = multer({
   }
 }).array('media', 5);
 
+// Direct message attachments: images and common documents, one file up to 10MB
+const ATTACHMENT_MIME_TYPES = [
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const uploadAttachment = multer({
+  storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Please upload an image or a document (PDF, Office, text, CSV or ZIP)'), false);
+    }
+  }
+}).single('attachment');
+
 // Error handling middleware for file uploads
 const handleUploadErrors = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -91,9 +120,9 @@ const uploadToCloudinary = (buffer, options = {}) => {
 };
 
 // Function to delete file from Cloudinary
-const deleteFromCloudinary = (publicId) => {
+const deleteFromCloudinary = (publicId, options = {}) => {
   return new Promise((resolve, reject) => {
-    cloudinary.uploader.destroy(publicId, (error, result) => {
+    cloudinary.uploader.destroy(publicId, options, (error, result) => {
       if (error) {
         reject(error);
       } else {
@@ -103,11 +132,58 @@ const deleteFromCloudinary = (publicId) => {
   });
 };
 
+// Delete a post's images and videos, logging failures instead of throwing
+const deletePostMedia = async (post) => {
+  const mediaToDelete = [
+    ...post.images.map(media => ({ publicId: media.publicId, resource_type: 'image' })),
+    ...post.videos.map(media => ({ publicId: media.publicId, resource_type: 'video' }))
+  ];
+  for (const media of mediaToDelete) {
+    try {
+      await deleteFromCloudinary(media.publicId, { resource_type: media.resource_type });
+    } catch (deleteError) {
+      console.error('Error deleting media:', deleteError);
+    }
+  }
+};
+
+// Delete a message's uploaded attachment, logging failures instead of throwing
+const deleteMessageAttachment = async (message) => {
+  if (!message.filePublicId) return;
+
+  try {
+    await deleteFromCloudinary(message.filePublicId, {
+      resource_type: message.messageType === 'image' ? 'image' : 'raw'
+    });
+  } catch (deleteError) {
+    console.error('Error deleting attachment:', deleteError);
+  }
+};
+
+// Delete a profile picture by its delivery URL, which is all the user
+// record keeps. Logs failures instead of throwing.
+const deleteProfilePicture = async (url) => {
+  // e.g. https://res.cloudinary.com/<cloud>/image/upload/v123/snaptalk/avatars/abc.jpg
+  if (!url || !url.startsWith(`https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/`)) return;
+  const match = /\/upload\/(?:v\d+\/)?(.+?)(?:\.[^./]+)?$/.exec(url);
+  if (!match) return;
+
+  try {
+    await deleteFromCloudinary(match[1]);
+  } catch (deleteError) {
+    console.error('Error deleting avatar:', deleteError);
+  }
+};
+
 module.exports = {
   cloudinary,
   uploadImage,
   uploadMedia,
+  uploadAttachment,
   uploadToCloudinary,
   deleteFromCloudinary,
+  deletePostMedia,
+  deleteMessageAttachment,
+  deleteProfilePicture,
   handleUploadErrors
 };
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Keyset cursors for lists sorted newest first on (createdAt, _id). Unlike
+// skip/limit, a cursor keeps its place when newer documents arrive.
+
+const encodeCursor = (doc) => {
+  return Buffer.from(`${doc.createdAt.getTime()}_${doc._id}`).toString('base64url');
+};
+
+// Resolves to `{ createdAt, _id }`, or null for a malformed cursor
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') return null;
+
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+  const createdAt = new Date(Number(time));
+  if (!time || Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Query conditions for documents after (older than) or before (newer than)
+// a decoded cursor
+const olderThan = ({ createdAt, _id }) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: _id } }
+  ]
+});
+
+const newerThan = ({ createdAt, _id }) => ({
+  $or: [
+    { createdAt: { $gt: createdAt } },
+    { createdAt, _id: { $gt: _id } }
+  ]
+});
+
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  olderThan,
+  newerThan,
+  NEWEST_FIRST
+};
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Message = require('../models/Message');
+const FeedRanking = require('../models/FeedRanking');
+
+// Ranking for the "Top" feed. A post's score is a weighted sum of four
+// signals, each scaled to 0..1:
+//   recency     halves every `halfLifeHours`
+//   engagement  reactions plus comments (worth two reactions), log scaled
+//   affinity    how often the viewer messages the author or reacts to and
+//               comments on their posts
+//   content     video above images above text only
+// Scores depend only on the post, the affinities and `now`, and ties fall
+// back to newest first, so the same inputs always give the same order. The
+// first page stores the whole ranking (models/FeedRanking.js) and later pages
+// are read from it.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_WEIGHTS = {
+  recency: 3,
+  engagement: 2,
+  affinity: 2,
+  content: 1
+};
+const DEFAULT_HALF_LIFE_HOURS = 24;
+
+const COMMENT_WEIGHT = 2;
+// Interactions at which engagement reaches its maximum
+const ENGAGEMENT_SATURATION = 100;
+// Interactions with an author at which affinity reaches 0.5
+const AFFINITY_HALF_POINT = 5;
+const AFFINITY_WINDOW_DAYS = 30;
+const CONTENT_SCORES = { video: 1, image: 0.7, text: 0.4 };
+
+// Only recent posts are ranked, and at most this many of them
+const CANDIDATE_WINDOW_DAYS = 14;
+const MAX_CANDIDATES = 500;
+// How long a stored ranking can be paged through
+const RANKING_TTL_MS = HOUR_MS;
+
+const readNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+// Weights and half-life from FEED_WEIGHT_* and FEED_RECENCY_HALF_LIFE_HOURS,
+// falling back to the defaults
+const getRankingConfig = (env = process.env) => ({
+  weights: {
+    recency: readNumber(env.FEED_WEIGHT_RECENCY, DEFAULT_WEIGHTS.recency),
+    engagement: readNumber(env.FEED_WEIGHT_ENGAGEMENT, DEFAULT_WEIGHTS.engagement),
+    affinity: readNumber(env.FEED_WEIGHT_AFFINITY, DEFAULT_WEIGHTS.affinity),
+    content: readNumber(env.FEED_WEIGHT_CONTENT, DEFAULT_WEIGHTS.content)
+  },
+  halfLifeHours: readNumber(env.FEED_RECENCY_HALF_LIFE_HOURS, 0) || DEFAULT_HALF_LIFE_HOURS
+});
+
+const contentType = (post) => {
+  if (post.videoCount > 0) return 'video';
+  if (post.imageCount > 0) return 'image';
+  return 'text';
+};
+
+const affinityFromInteractions = (count) => count / (count + AFFINITY_HALF_POINT);
+
+// Score one post. `post` needs createdAt, reactionCount, commentCount,
+// imageCount and videoCount; `affinity` is 0..1.
+const scorePost = (post, { affinity = 0, now, config }) => {
+  const { weights, halfLifeHours } = config;
+
+  const ageHours = Math.max(0, (now - post.createdAt) / HOUR_MS);
+  const recency = 0.5 ** (ageHours / halfLifeHours);
+  const interactions = post.reactionCount + COMMENT_WEIGHT * post.commentCount;
+  const engagement = Math.min(1, Math.log1p(interactions) / Math.log1p(ENGAGEMENT_SATURATION));
+  const content = CONTENT_SCORES[contentType(post)];
+
+  return weights.recency * recency +
+    weights.engagement * engagement +
+    weights.affinity * affinity +
+    weights.content * content;
+};
+
+// Sort posts best first. `affinities` maps author ids to 0..1.
+const rankPosts = (posts, { affinities, now, config }) => {
+  return posts
+    .map(post => ({
+      post,
+      score: scorePost(post, { affinity: affinities.get(post.author.toString()), now, config })
+    }))
+    .sort((a, b) => (
+      b.score - a.score ||
+      b.post.createdAt - a.post.createdAt ||
+      b.post._id.toString().localeCompare(a.post._id.toString())
+    ))
+    .map(({ post }) => post);
+};
+
+// Affinity between the viewer and each author, from the last
+// AFFINITY_WINDOW_DAYS of direct messages and reactions and comments on the
+// author's posts. The viewer's own posts count as full affinity.
+const getAffinities = async (viewerId, authorIds, now) => {
+  const since = new Date(now - AFFINITY_WINDOW_DAYS * DAY_MS);
+  const otherIds = authorIds.filter(id => !id.equals(viewerId));
+
+  const [messageCounts, postInteractions] = await Promise.all([
+    Message.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: since },
+          $or: [
+            { sender: viewerId, receiver: { $in: otherIds } },
+            { sender: { $in: otherIds }, receiver: viewerId }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: { $cond: [{ $eq: ['$sender', viewerId] }, '$receiver', '$sender'] },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    Post.aggregate([
+      { $match: { author: { $in: otherIds }, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$author',
+          count: {
+            $sum: {
+              $add: [
+                { $size: { $filter: { input: { $ifNull: ['$reactions', []] }, cond: { $eq: ['$$this.user', viewerId] } } } },
+                { $size: { $filter: { input: { $ifNull: ['$comments', []] }, cond: { $eq: ['$$this.user', viewerId] } } } }
+              ]
+            }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const interactions = new Map();
+  for (const { _id, count } of [...messageCounts, ...postInteractions]) {
+    const key = _id.toString();
+    interactions.set(key, (interactions.get(key) || 0) + count);
+  }
+
+  const affinities = new Map(
+    [...interactions].map(([authorId, count]) => [authorId, affinityFromInteractions(count)])
+  );
+  affinities.set(viewerId.toString(), 1);
+  return affinities;
+};
+
+// Rank the feed matching `filter` now and store the order for the viewer to
+// page through with findFeedPage
+const createFeedRanking = async (filter, { viewerId, now = new Date(), config = getRankingConfig() }) => {
+  const candidates = await Post.aggregate([
+    {
+      $match: {
+        $and: [
+          filter,
+          { createdAt: { $lte: now, $gt: new Date(now - CANDIDATE_WINDOW_DAYS * DAY_MS) } }
+        ]
+      }
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: MAX_CANDIDATES },
+    {
+      $project: {
+        author: 1,
+        createdAt: 1,
+        reactionCount: { $size: { $ifNull: ['$reactions', []] } },
+        commentCount: { $size: { $ifNull: ['$comments', []] } },
+        imageCount: { $size: { $ifNull: ['$images', []] } },
+        videoCount: { $size: { $ifNull: ['$videos', []] } }
+      }
+    }
+  ]);
+
+  const authorIds = [...new Map(candidates.map(post => [post.author.toString(), post.author])).values()];
+  const affinities = await getAffinities(viewerId, authorIds, now);
+  const ranked = rankPosts(candidates, { affinities, now, config });
+
+  return FeedRanking.create({
+    viewer: viewerId,
+    posts: ranked.map(post => post._id),
+    expiresAt: new Date(now.getTime() + RANKING_TTL_MS)
+  });
+};
+
+// One of the viewer's stored rankings, or null once it has expired
+const findFeedRanking = (rankingId, viewerId) => {
+  return FeedRanking.findOne({ _id: rankingId, viewer: viewerId, expiresAt: { $gt: new Date() } });
+};
+
+// One page of a stored ranking, in ranked order. Only the order is stored:
+// the posts are matched against the viewer's feed `filter` again, so ones
+// they may no longer see drop out. `options` go to Post.findSummaries.
+const findFeedPage = async (ranking, filter, { offset, limit, ...options }) => {
+  const ids = ranking.posts.slice(offset, offset + limit);
+  const posts = ids.length > 0
+    ? await Post.findSummaries(
+      { $and: [filter, { _id: { $in: ids } }] },
+      { ...options, sort: { _id: 1 }, limit: ids.length }
+    )
+    : [];
+  const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+
+  return {
+    posts: ids.map(id => postsById.get(id.toString())).filter(Boolean),
+    hasMore: ranking.posts.length > offset + limit
+  };
+};
+
+// Top feed pages are addressed by the stored ranking and an offset
+const encodeRankCursor = ({ rankingId, offset }) => {
+  return Buffer.from(`${rankingId}_${offset}`).toString('base64url');
+};
+
+// Resolves to `{ rankingId, offset }`, or null for a malformed cursor
+const decodeRankCursor = (cursor) => {
+  if (typeof cursor !== 'string') return null;
+
+  const [rankingId, offsetText] = Buffer.from(cursor, 'base64url').toString().split('_');
+  const offset = Number(offsetText);
+  if (!mongoose.isValidObjectId(rankingId) || !Number.isInteger(offset) || offset < 0) {
+    return null;
+  }
+  return { rankingId, offset };
+};
+
+module.exports = {
+  getRankingConfig,
+  scorePost,
+  rankPosts,
+  getAffinities,
+  createFeedRanking,
+  findFeedRanking,
+  findFeedPage,
+  encodeRankCursor,
+  decodeRankCursor
+};
@@ -0,0 +1,68 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Mail goes through a named transport chosen by MAIL_TRANSPORT. `console`
+// (the default) and `file` are for development and tests; a real provider
+// can be plugged in with registerTransport() at startup.
+const transports = {
+  // Print each mail to the server log
+  console: () => ({
+    send: async (mail) => {
+      console.log(`[mail] To: ${mail.to}\n[mail] Subject: ${mail.subject}\n${mail.text}`);
+    }
+  }),
+
+  // Write each mail as a JSON file to MAIL_FILE_DIR
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'snaptalk-mail');
+    return {
+      send: async (mail) => {
+        await fs.mkdir(dir, { recursive: true });
+        const fileName = `${Date.now()}-${mail.to.replace(/[^\w.@-]/g, '_')}.json`;
+        await fs.writeFile(path.join(dir, fileName), JSON.stringify(mail, null, 2));
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+// Make a transport available by name; `factory` returns `{ send(mail) }`
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+// Use a transport instance directly, e.g. to capture mail in tests
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'SnapTalk <no-reply@snaptalk.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  setTransport
+};
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const PendingAttachment = require('../models/PendingAttachment');
+
+// Shared permission rules for one-to-one messages, used by both the HTTP
+// route and the socket handler. Resolves to null when the message is
+// allowed, or to `{ status, message }` describing why it is not.
+const checkCanMessage = async (senderId, receiverId) => {
+  const receiverUser = await User.findById(receiverId).select('_id');
+  if (!receiverUser) {
+    return { status: 404, message: 'Receiver not found' };
+  }
+
+  if (await User.isBlockedBetween(senderId, receiverId)) {
+    return { status: 403, message: 'You cannot message this user' };
+  }
+
+  // Only friends (or yourself) can be messaged
+  const senderUser = await User.findById(senderId).select('friends');
+  if (!senderUser.friends.includes(receiverId) && receiverId.toString() !== senderId.toString()) {
+    return { status: 403, message: 'You can only send messages to friends' };
+  }
+
+  return null;
+};
+
+// Everyone who can see a message: both ends of a direct message, or the
+// current members of its group
+const getMessageParticipants = async (message) => {
+  if (message.conversation) {
+    const conversation = await Conversation.findById(message.conversation).select('members');
+    return conversation ? conversation.members.map(id => id.toString()) : [];
+  }
+
+  return [message.sender.toString(), message.receiver.toString()];
+};
+
+// Take an attachment uploaded by the sender through
+// POST /api/messages/attachments and map it onto Message fields. Each upload
+// can only be sent once. Resolves to {} when there is no attachment and null
+// when the id is not one of the sender's pending uploads.
+const claimAttachment = async (senderId, attachmentId) => {
+  if (!attachmentId) return {};
+  if (!mongoose.isValidObjectId(attachmentId)) return null;
+
+  const attachment = await PendingAttachment.findOneAndDelete({ _id: attachmentId, uploader: senderId });
+  if (!attachment) return null;
+
+  const { messageType, fileUrl, filePublicId, fileName, fileSize, mimeType } = attachment;
+  return { messageType, fileUrl, filePublicId, fileName, fileSize, mimeType };
+};
+
+// Text is optional when the message carries an attachment
+const validateMessageContent = body('content').default('').trim().custom((value, { req }) => {
+  if (!value && !req.body.attachmentId) {
+    throw new Error('Add a message or an attachment');
+  }
+  if (value.length > 1000) {
+    throw new Error('Message cannot exceed 1000 characters');
+  }
+  return true;
+});
+
+module.exports = {
+  checkCanMessage,
+  getMessageParticipants,
+  claimAttachment,
+  validateMessageContent
+};
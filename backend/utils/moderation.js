@@ -0,0 +1,134 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Message = require('../models/Message');
+const ModerationLog = require('../models/ModerationLog');
+const { deletePostMedia, deleteMessageAttachment } = require('./cloudinary');
+const { getMessageParticipants } = require('./messaging');
+const { canViewPost } = require('./postAccess');
+const { revokeSessions } = require('./sessions');
+
+// Look up the thing being reported. Resolves to `{ targetUser, snapshot }`
+// (plus `post` for comments and `message` for messages), or null when it no
+// longer exists. With a `reporter`, posts and comments they may not see are
+// treated as missing too.
+const describeReportTarget = async ({ targetType, targetId, post: postId }, reporter) => {
+  const isHidden = (post) => reporter && !canViewPost(post, reporter);
+
+  switch (targetType) {
+    case 'post': {
+      const post = await Post.findById(targetId).select('author content privacy audience');
+      if (!post || isHidden(post)) return null;
+      return { targetUser: post.author, snapshot: post.content };
+    }
+    case 'comment': {
+      const post = postId && await Post.findById(postId).select('author privacy audience comments');
+      if (!post || isHidden(post)) return null;
+      const comment = post.comments.id(targetId);
+      return comment && { targetUser: comment.user, snapshot: comment.content, post: post._id };
+    }
+    case 'message': {
+      const message = await Message.findById(targetId);
+      if (!message || message.isUnsent) return null;
+      return {
+        targetUser: message.sender,
+        snapshot: message.content || message.fileName || '',
+        message
+      };
+    }
+    case 'user': {
+      const user = await User.findById(targetId).select('firstName lastName bio');
+      return user && { targetUser: user._id, snapshot: `${user.firstName} ${user.lastName}\n${user.bio}`.trim() };
+    }
+    default:
+      return null;
+  }
+};
+
+// Take down reported content: delete a post, remove a comment thread,
+// unsend a message or clear a profile's bio and picture. Resolves to false
+// if it was already gone.
+const removeReportedContent = async (report, io) => {
+  switch (report.targetType) {
+    case 'post': {
+      const post = await Post.findById(report.targetId);
+      if (!post) return false;
+      await deletePostMedia(post);
+      await Post.findByIdAndDelete(post._id);
+      return true;
+    }
+    case 'comment': {
+      const post = await Post.findById(report.post);
+      if (!post || !post.comments.id(report.targetId)) return false;
+      post.removeCommentThreads([report.targetId]);
+      await post.save();
+      return true;
+    }
+    case 'message': {
+      const message = await Message.findById(report.targetId);
+      if (!message || message.isUnsent) return false;
+      await deleteMessageAttachment(message);
+      await message.unsend();
+      await message.populate('sender', 'firstName lastName profilePicture');
+
+      const participants = await getMessageParticipants(message);
+      if (io && participants.length > 0) {
+        io.to(participants).emit('messageUpdated', message);
+      }
+      return true;
+    }
+    case 'user': {
+      const result = await User.updateOne(
+        { _id: report.targetId },
+        { $set: { bio: '', location: '', profilePicture: '' } }
+      );
+      return result.matchedCount > 0;
+    }
+    default:
+      return false;
+  }
+};
+
+// Suspend an account until `until`, or for good with `permanent`, and sign
+// it out everywhere
+const suspendUser = async (userId, { until, permanent = false, reason }, io) => {
+  await User.updateOne(
+    { _id: userId },
+    permanent
+      ? { $set: { suspendedPermanently: true, suspensionReason: reason }, $unset: { suspendedUntil: 1 } }
+      : { $set: { suspendedPermanently: false, suspendedUntil: until, suspensionReason: reason } }
+  );
+  await revokeSessions(io, { user: userId });
+};
+
+// End a suspension early
+const liftSuspension = (userId) => {
+  return User.updateOne(
+    { _id: userId },
+    {
+      $set: { suspendedPermanently: false },
+      $unset: { suspendedUntil: 1, suspensionReason: 1 }
+    }
+  );
+};
+
+// Record a moderator action in the audit log. Target fields default to the
+// report's.
+const logModerationAction = (moderatorId, { action, report, targetUser, targetType, targetId, details = '' }) => {
+  return ModerationLog.create({
+    moderator: moderatorId,
+    action,
+    report: report && report._id,
+    targetUser: targetUser || (report && report.targetUser),
+    targetType: targetType || (report && report.targetType),
+    targetId: targetId || (report && report.targetId),
+    details
+  });
+};
+
+module.exports = {
+  describeReportTarget,
+  removeReportedContent,
+  suspendUser,
+  liftSuspension,
+  logModerationAction
+};
@@ -0,0 +1,42 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+// Persist a notification and push it to the recipient's room.
+// Failures are logged rather than thrown so they never break the action
+// that triggered them. Moderator warnings have no `actor`.
+const createNotification = async (io, { recipient, actor, type, post, comment, message }) => {
+  try {
+    if (!recipient) return null;
+    if (actor) {
+      if (recipient.toString() === actor.toString()) return null;
+      if (await User.isBlockedBetween(recipient, actor)) return null;
+    }
+
+    const notification = new Notification({
+      recipient,
+      actor,
+      type,
+      post,
+      comment,
+      message
+    });
+
+    await notification.save();
+    if (actor) {
+      await notification.populate('actor', 'firstName lastName profilePicture');
+    }
+
+    if (io) {
+      io.to(recipient.toString()).emit('notification', notification);
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  createNotification
+};
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const AudienceList = require('../models/AudienceList');
+
+// Who may see which posts, shared by the post and hashtag routes
+
+// Check whether a user may see a post under its privacy setting.
+// `blockedIds` comes from User.getBlockedIds for the current user.
+const canViewPost = (post, currentUser, blockedIds = []) => {
+  const authorId = (post.author._id || post.author).toString();
+  if (authorId === currentUser._id.toString()) return true;
+  if (blockedIds.some(id => id.toString() === authorId)) return false;
+  if (post.privacy === 'public') return true;
+  if (!currentUser.friends.some(friendId => friendId.toString() === authorId)) return false;
+  if (post.privacy === 'friends') return true;
+  // Audience-list posts need the `audience` field selected
+  const inAudience = (post.audience || []).some(id => id.toString() === currentUser._id.toString());
+  if (post.privacy === 'list') return inAudience;
+  if (post.privacy === 'friends_except') return !inAudience;
+  return false;
+};
+
+// Query for posts by a friend of the current user that the user may see:
+// everything shared with friends plus the audience-list posts that include
+// them. Combine it with an `author` condition.
+const friendAudienceFilter = (userId) => ({
+  $or: [
+    { privacy: { $in: ['public', 'friends'] } },
+    { privacy: 'list', audience: userId },
+    { privacy: 'friends_except', audience: { $ne: userId } }
+  ]
+});
+
+// Query for listing posts the current user may see, by the same rules as
+// canViewPost. `hiddenAuthorIds` (blocked users and the like) are left out.
+const visiblePostsFilter = (currentUser, hiddenAuthorIds = []) => ({
+  author: { $nin: hiddenAuthorIds },
+  $or: [
+    { author: currentUser._id },
+    { privacy: 'public' },
+    { author: { $in: currentUser.friends }, ...friendAudienceFilter(currentUser._id) }
+  ]
+});
+
+// Check the audience picked for a post. `list` and `friends_except` need
+// one of the author's audience lists, whose members are copied onto the
+// post (and kept in step by AudienceList#syncPosts). Resolves to
+// `{ audienceList, audience }`, or `{ error }`.
+const resolveAudience = async (author, privacy, audienceListId) => {
+  if (privacy !== 'list' && privacy !== 'friends_except') {
+    return { audienceList: undefined, audience: [] };
+  }
+  if (!audienceListId || !mongoose.isValidObjectId(audienceListId)) {
+    return { error: 'Choose an audience list' };
+  }
+
+  const list = await AudienceList.findOne({ _id: audienceListId, owner: author._id }).select('members');
+  if (!list) {
+    return { error: 'Audience list not found' };
+  }
+  return { audienceList: list._id, audience: list.members };
+};
+
+// Swap each share's `sharedPost` id for a summary of the original, or null
+// when the original is gone or the viewer may not see it. A share never
+// widens who can see the original.
+const attachSharedPosts = async (posts, currentUser, blockedIds) => {
+  const originalIds = [...new Set(posts.filter(post => post.isShare).map(post => post.sharedPost.toString()))];
+  if (originalIds.length === 0) return posts;
+
+  // Summaries leave out `audience`, so visibility is part of the query
+  const originals = await Post.findSummaries(
+    {
+      _id: { $in: originalIds.map(id => new mongoose.Types.ObjectId(id)) },
+      ...visiblePostsFilter(currentUser, blockedIds)
+    },
+    { viewerId: currentUser._id, hiddenUserIds: blockedIds, sort: { _id: 1 }, limit: originalIds.length }
+  );
+  const visible = new Map(originals.map(original => [original._id.toString(), original]));
+
+  for (const post of posts) {
+    if (post.isShare) {
+      post.sharedPost = visible.get(post.sharedPost.toString()) || null;
+    }
+  }
+  return posts;
+};
+
+module.exports = {
+  canViewPost,
+  visiblePostsFilter,
+  friendAudienceFilter,
+  resolveAudience,
+  attachSharedPosts
+};
@@ -0,0 +1,20 @@
+const MAX_CONTENT_LENGTH = 2000;
+
+// What a post needs to be saved, shared by creating and editing: some text
+// or at least one image or video. Shares may be empty since they carry the
+// original post. `mediaCount` is what the post will have once saved.
+// Returns an error message, or null when the post is fine.
+const checkPostContent = ({ content = '', mediaCount = 0, isShare = false }) => {
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (!text && mediaCount === 0 && !isShare) {
+    return 'Add text or at least one media file';
+  }
+  if (text.length > MAX_CONTENT_LENGTH) {
+    return `Post content cannot exceed ${MAX_CONTENT_LENGTH} characters`;
+  }
+  return null;
+};
+
+module.exports = {
+  checkPostContent
+};
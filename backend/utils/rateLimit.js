@@ -0,0 +1,79 @@
+// Fixed-window request counters kept in a named store chosen by
+// RATE_LIMIT_STORE. `memory` (the default) only works for a single server
+// process; a shared store such as Redis can be plugged in with
+// registerStore() at startup.
+//
+// A store implements:
+//   increment(key, windowMs) -> { count, resetAt }  (resetAt in ms since epoch)
+//   reset(key)
+const stores = {
+  memory: () => {
+    const windows = new Map();
+
+    // Drop finished windows now and then so idle keys don't pile up
+    const sweep = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of windows) {
+        if (entry.resetAt <= now) windows.delete(key);
+      }
+    }, 60 * 1000);
+    sweep.unref();
+
+    return {
+      increment: async (key, windowMs) => {
+        const now = Date.now();
+        let entry = windows.get(key);
+        if (!entry || entry.resetAt <= now) {
+          entry = { count: 0, resetAt: now + windowMs };
+          windows.set(key, entry);
+        }
+        entry.count += 1;
+        return { count: entry.count, resetAt: entry.resetAt };
+      },
+      reset: async (key) => {
+        windows.delete(key);
+      }
+    };
+  }
+};
+
+let activeStore = null;
+
+// Make a store available by name; `factory` returns the store instance
+const registerStore = (name, factory) => {
+  stores[name] = factory;
+  activeStore = null;
+};
+
+// Use a store instance directly, e.g. a fresh one per test
+const setStore = (store) => {
+  activeStore = store;
+};
+
+const getStore = () => {
+  if (!activeStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = stores[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store "${name}"`);
+    }
+    activeStore = factory();
+  }
+  return activeStore;
+};
+
+// Count one hit against `key` under a `{ name, windowMs, max }` policy.
+// Resolves to `{ allowed, retryAfterSeconds }`.
+const consume = async (policy, key) => {
+  const { count, resetAt } = await getStore().increment(`${policy.name}:${key}`, policy.windowMs);
+  return {
+    allowed: count <= policy.max,
+    retryAfterSeconds: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+  };
+};
+
+module.exports = {
+  consume,
+  registerStore,
+  setStore
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Tabs sharing one refresh token can race to rotate it; replaying the old
+// token this soon after rotation is treated as that race, not as theft
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+  });
+};
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * DAY_MS);
+};
+
+const describeClient = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 255),
+  ipAddress: req.ip || ''
+});
+
+// Start a session for a freshly authenticated user and issue its tokens
+const createSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    ...describeClient(req),
+    lastUsedAt: new Date(),
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return {
+    token: generateAccessToken(userId, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair. Resolves to null when the
+// token is unknown, expired or revoked. Replaying a rotated-out token revokes
+// the whole session, since that token may have been stolen.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({
+    $or: [
+      { refreshTokenHash: tokenHash },
+      { previousRefreshTokenHash: tokenHash }
+    ]
+  });
+
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  if (session.previousRefreshTokenHash === tokenHash) {
+    if (Date.now() - session.rotatedAt.getTime() > ROTATION_GRACE_MS) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  session.previousRefreshTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.rotatedAt = new Date();
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshTokenExpiry();
+  Object.assign(session, describeClient(req));
+  await session.save();
+
+  return {
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Revoke sessions and drop any sockets that were authenticated with them
+const revokeSessions = async (io, filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const sessionIds = sessions.map(session => session._id);
+  await Session.updateMany({ _id: { $in: sessionIds } }, { revokedAt: new Date() });
+
+  if (io) {
+    io.in(sessionIds.map(id => `session:${id}`)).disconnectSockets(true);
+  }
+
+  return sessionIds.length;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessions
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const MAX_TAGS = 20;
+
+// Check the people `author` wants to tag in a post and split them into tags
+// that apply now and tags waiting for approval. Friends are tagged directly;
+// other people only in public posts, and only after approving it if they
+// have `requireTagApproval` on. When editing, pass the `post`: people already
+// tagged or pending stay that way as long as `privacy` still allows them,
+// and people who removed themselves can't be tagged again. Resolves to
+// `{ tagged, pending }`, or `{ error }` when a tag isn't allowed.
+const resolveTags = async (author, ids, { privacy, post = null }) => {
+  const tagIds = [...new Set(ids.map(id => id.toString()))];
+  if (tagIds.length === 0) return { tagged: [], pending: [] };
+
+  if (tagIds.length > MAX_TAGS) {
+    return { error: `You can tag up to ${MAX_TAGS} people` };
+  }
+  if (tagIds.includes(author._id.toString())) {
+    return { error: "You can't tag yourself" };
+  }
+  if (!tagIds.every(id => mongoose.isValidObjectId(id))) {
+    return { error: 'Invalid tagged users' };
+  }
+
+  const [users, blockedIds] = await Promise.all([
+    User.find({ _id: { $in: tagIds } }).select('requireTagApproval'),
+    User.getBlockedIds(author._id)
+  ]);
+  const unavailable = new Set([...blockedIds, ...(post ? post.removedTags : [])].map(id => id.toString()));
+  if (users.length !== tagIds.length || users.some(user => unavailable.has(user._id.toString()))) {
+    return { error: "You can't tag some of these people" };
+  }
+
+  const has = (list, user) => list.some(id => id.toString() === user._id.toString());
+  const tagged = [];
+  const pending = [];
+  for (const user of users) {
+    const isFriend = has(author.friends, user);
+    if (!isFriend && privacy !== 'public') {
+      return { error: "Only friends can be tagged in posts that aren't public" };
+    }
+
+    if (post && has(post.taggedUsers, user)) {
+      tagged.push(user._id);
+    } else if (post && has(post.pendingTags, user)) {
+      pending.push(user._id);
+    } else if (isFriend) {
+      tagged.push(user._id);
+    } else if (user.requireTagApproval) {
+      pending.push(user._id);
+    } else {
+      tagged.push(user._id);
+    }
+  }
+  return { tagged, pending };
+};
+
+module.exports = {
+  resolveTags
+};
@@ -0,0 +1,63 @@
+const User = require('../models/User');
+
+// #hashtags and @mentions in post and comment text. Content stays plain
+// text: a mention is written as "@First Last" and resolved against the
+// people the author may mention, so nothing in the text itself is trusted.
+
+const MAX_HASHTAGS = 30;
+const MAX_HASHTAG_LENGTH = 50;
+
+// A hashtag follows the start of the text, whitespace or punctuation and
+// runs over letters, digits and underscores. "&" is excluded so HTML
+// entities like "&#39;" are not read as tags.
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]+)/gu;
+const TAG_PATTERN = /^[\p{L}\p{N}_]+$/u;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase a tag, with or without its "#", or return null if it is not one.
+// All-digit tags like "#1" are not hashtags.
+const normalizeHashtag = (tag) => {
+  const normalized = String(tag).replace(/^#/, '').toLowerCase();
+  if (!TAG_PATTERN.test(normalized) || normalized.length > MAX_HASHTAG_LENGTH || /^\d+$/.test(normalized)) {
+    return null;
+  }
+  return normalized;
+};
+
+// Unique lowercase hashtags in the order they first appear
+const extractHashtags = (text = '') => {
+  const tags = new Set();
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    const tag = normalizeHashtag(match[2]);
+    if (tag) tags.add(tag);
+  }
+  return [...tags].slice(0, MAX_HASHTAGS);
+};
+
+// The users in `candidates` that `text` names as "@First Last"
+const findMentions = (text = '', candidates) => {
+  return candidates.filter(user => {
+    const name = escapeRegExp(`${user.firstName} ${user.lastName}`);
+    return new RegExp(`(^|[^\\p{L}\\p{N}_])@${name}(?![\\p{L}\\p{N}_])`, 'iu').test(text);
+  });
+};
+
+// Users mentioned in `text` that `author` may mention: their friends,
+// leaving out anyone in `blockedIds`. Resolves to user documents with
+// `friends` selected so callers can check who may see the post.
+const resolveMentions = async (text, author, blockedIds = []) => {
+  if (!text || !text.includes('@')) return [];
+
+  const hiddenIds = new Set(blockedIds.map(id => id.toString()));
+  const friendIds = author.friends.filter(id => !hiddenIds.has(id.toString()));
+  const friends = await User.find({ _id: { $in: friendIds } }).select('firstName lastName friends');
+  return findMentions(text, friends);
+};
+
+module.exports = {
+  normalizeHashtag,
+  extractHashtags,
+  findMentions,
+  resolveMentions
+};
@@ -14,6 +14,12 @@ import Profile from './pages/Profile';
 import Friends from './pages/Friends';
 import Messages from './pages/Messages';
 import Search from './pages/Search';
+import Settings from './pages/Settings';
+import Moderation from './pages/Moderation';
+import Hashtag from './pages/Hashtag';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 
 // Create a client
 const queryClient = new QueryClient({
@@ -80,6 +86,24 @@ function App() {
                     </PublicRoute>
                   } 
                 />
+                <Route 
+                  path="/forgot-password" 
+                  element={
+                    <PublicRoute>
+                      <ForgotPassword />
+                    </PublicRoute>
+                  } 
+                />
+                <Route 
+                  path="/reset-password" 
+                  element={
+                    <PublicRoute>
+                      <ResetPassword />
+                    </PublicRoute>
+                  } 
+                />
+                {/* Works whether or not the user is signed in */}
+                <Route path="/verify-email" element={<VerifyEmail />} />
                 
                 {/* Protected routes */}
                 <Route 
@@ -93,7 +117,11 @@ function App() {
                           <Route path="/friends" element={<Friends />} />
                           <Route path="/messages" element={<Messages />} />
                           <Route path="/messages/:userId" element={<Messages />} />
+                          <Route path="/messages/group/:groupId" element={<Messages />} />
                           <Route path="/search" element={<Search />} />
+                          <Route path="/hashtags/:tag" element={<Hashtag />} />
+                          <Route path="/settings" element={<Settings />} />
+                          <Route path="/moderation" element={<Moderation />} />
                         </Routes>
                       </Layout>
                     </ProtectedRoute>
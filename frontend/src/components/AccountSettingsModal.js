@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import { X } from 'lucide-react';
+import { authAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500';
+
+function AccountSettingsModal({ onClose }) {
+  const { user, updateUser, clearAuth } = useAuth();
+  const [passwordData, setPasswordData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [emailData, setEmailData] = useState({
+    email: '',
+    password: '',
+  });
+  const [deletePassword, setDeletePassword] = useState('');
+
+  const changePasswordMutation = useMutation(
+    ({ currentPassword, newPassword }) => authAPI.changePassword(currentPassword, newPassword),
+    {
+      onSuccess: () => {
+        toast.success('Password changed. Other devices have been signed out.');
+        setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to change password');
+      }
+    }
+  );
+
+  const changeEmailMutation = useMutation(
+    ({ email, password }) => authAPI.changeEmail(email, password),
+    {
+      onSuccess: (response) => {
+        toast.success('Email changed. Check your inbox to verify it.');
+        updateUser({ ...user, ...response.data.user });
+        setEmailData({ email: '', password: '' });
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to change email');
+      }
+    }
+  );
+
+  const deleteAccountMutation = useMutation(
+    (password) => authAPI.deleteAccount(password),
+    {
+      onSuccess: () => {
+        toast.success('Your account has been deleted');
+        clearAuth();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete account');
+      }
+    }
+  );
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target;
+    setPasswordData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleEmailChange = (e) => {
+    const { name, value } = e.target;
+    setEmailData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handlePasswordSubmit = (e) => {
+    e.preventDefault();
+    if (passwordData.newPassword.length < 6) {
+      toast.error('Password must be at least 6 characters');
+      return;
+    }
+    if (passwordData.newPassword !== passwordData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+    changePasswordMutation.mutate(passwordData);
+  };
+
+  const handleEmailSubmit = (e) => {
+    e.preventDefault();
+    changeEmailMutation.mutate(emailData);
+  };
+
+  const handleDeleteSubmit = (e) => {
+    e.preventDefault();
+    if (window.confirm('This permanently deletes your account, posts and messages. Continue?')) {
+      deleteAccountMutation.mutate(deletePassword);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="card max-w-md w-full max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="card-header flex items-center justify-between">
+          <h2 className="text-xl font-semibold">Account Settings</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-100"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="overflow-y-auto">
+          {/* Change Password */}
+          <form onSubmit={handlePasswordSubmit} className="card-body space-y-4">
+            <h3 className="font-semibold text-gray-900">Change password</h3>
+            <input
+              type="password"
+              name="currentPassword"
+              value={passwordData.currentPassword}
+              onChange={handlePasswordChange}
+              placeholder="Current password"
+              autoComplete="current-password"
+              className={inputClassName}
+              required
+            />
+            <input
+              type="password"
+              name="newPassword"
+              value={passwordData.newPassword}
+              onChange={handlePasswordChange}
+              placeholder="New password"
+              autoComplete="new-password"
+              className={inputClassName}
+              required
+            />
+            <input
+              type="password"
+              name="confirmPassword"
+              value={passwordData.confirmPassword}
+              onChange={handlePasswordChange}
+              placeholder="Confirm new password"
+              autoComplete="new-password"
+              className={inputClassName}
+              required
+            />
+            <button
+              type="submit"
+              disabled={changePasswordMutation.isLoading}
+              className="btn btn-primary btn-sm"
+            >
+              Update password
+            </button>
+          </form>
+
+          {/* Change Email */}
+          <form onSubmit={handleEmailSubmit} className="card-body space-y-4 border-t border-gray-200">
+            <h3 className="font-semibold text-gray-900">Change email</h3>
+            <p className="text-sm text-gray-600">
+              Currently {user?.email}. You'll need to verify the new address.
+            </p>
+            <input
+              type="email"
+              name="email"
+              value={emailData.email}
+              onChange={handleEmailChange}
+              placeholder="New email address"
+              autoComplete="email"
+              className={inputClassName}
+              required
+            />
+            <input
+              type="password"
+              name="password"
+              value={emailData.password}
+              onChange={handleEmailChange}
+              placeholder="Password"
+              autoComplete="current-password"
+              className={inputClassName}
+              required
+            />
+            <button
+              type="submit"
+              disabled={changeEmailMutation.isLoading}
+              className="btn btn-primary btn-sm"
+            >
+              Update email
+            </button>
+          </form>
+
+          {/* Delete Account */}
+          <form onSubmit={handleDeleteSubmit} className="card-body space-y-4 border-t border-gray-200">
+            <h3 className="font-semibold text-red-600">Delete account</h3>
+            <p className="text-sm text-gray-600">
+              Your posts, messages and friendships are removed permanently. This cannot be undone.
+            </p>
+            <input
+              type="password"
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              placeholder="Password"
+              autoComplete="current-password"
+              className={inputClassName}
+              required
+            />
+            <button
+              type="submit"
+              disabled={deleteAccountMutation.isLoading}
+              className="btn btn-danger btn-sm"
+            >
+              Delete my account
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AccountSettingsModal;
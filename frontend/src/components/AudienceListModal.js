@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { X } from 'lucide-react';
+import { audienceListsAPI, friendsAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+// Create an audience list, or rename and change the members of `list`
+function AudienceListModal({ list, onClose }) {
+  const queryClient = useQueryClient();
+  const [name, setName] = useState(list?.name || '');
+  const [members, setMembers] = useState((list?.members || []).map(member => member._id));
+
+  const { data: friendsData, isLoading: friendsLoading } = useQuery(
+    'friends',
+    friendsAPI.getFriends
+  );
+
+  const saveMutation = useMutation(
+    () => list
+      ? audienceListsAPI.updateList(list._id, { name, members })
+      : audienceListsAPI.createList({ name, members }),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries('audienceLists');
+        onClose();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save list');
+      }
+    }
+  );
+
+  const toggleMember = (friendId) => {
+    setMembers(prev =>
+      prev.includes(friendId)
+        ? prev.filter(id => id !== friendId)
+        : [...prev, friendId]
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    saveMutation.mutate();
+  };
+
+  const friends = friendsData?.data?.friends || [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="card max-w-lg w-full max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="card-header flex items-center justify-between">
+          <h2 className="text-xl font-semibold">{list ? 'Edit list' : 'New list'}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-100"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex flex-col overflow-hidden">
+          <div className="card-body space-y-4 overflow-y-auto">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Name
+              </label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. Close friends"
+                maxLength={50}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+
+            <div>
+              <p className="block text-sm font-medium text-gray-700 mb-1">
+                Members ({members.length})
+              </p>
+              {friendsLoading ? (
+                <div className="loading">
+                  <div className="spinner"></div>
+                </div>
+              ) : friends.length === 0 ? (
+                <p className="text-sm text-gray-500">Add some friends to put them in lists.</p>
+              ) : (
+                <div className="space-y-2">
+                  {friends.map((friend) => (
+                    <label key={friend._id} className="flex items-center space-x-3 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={members.includes(friend._id)}
+                        onChange={() => toggleMember(friend._id)}
+                      />
+                      <img
+                        src={friend.profilePicture || `https://ui-avatars.com/api/?name=${friend.firstName}+${friend.lastName}&background=818cf8&color=ffffff`}
+                        alt={friend.firstName}
+                        className="avatar avatar-sm"
+                      />
+                      <span className="text-sm text-gray-900">
+                        {friend.firstName} {friend.lastName}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </form>
+
+        {/* Modal Footer with Buttons */}
+        <div className="card-footer flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn btn-outline"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            onClick={handleSubmit}
+            disabled={!name.trim() || saveMutation.isLoading}
+            className="btn btn-primary disabled:opacity-50"
+          >
+            {saveMutation.isLoading ? (
+              <div className="spinner w-4 h-4"></div>
+            ) : (
+              'Save'
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AudienceListModal;
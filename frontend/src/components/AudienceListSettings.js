@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { audienceListsAPI } from '../utils/api';
+import AudienceListModal from './AudienceListModal';
+import toast from 'react-hot-toast';
+
+// Settings card for the friend lists posts can be shown to or hidden from
+function AudienceListSettings() {
+  const queryClient = useQueryClient();
+  // null when closed, {} for a new list, or the list being edited
+  const [editing, setEditing] = useState(null);
+
+  const { data: listsData } = useQuery('audienceLists', audienceListsAPI.getLists);
+
+  const deleteMutation = useMutation(
+    (listId) => audienceListsAPI.deleteList(listId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('audienceLists');
+        toast.success('List deleted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete list');
+      }
+    }
+  );
+
+  const handleDelete = (list) => {
+    if (window.confirm(`Delete "${list.name}"? Posts already shared with it keep their audience.`)) {
+      deleteMutation.mutate(list._id);
+    }
+  };
+
+  const lists = listsData?.data?.lists || [];
+
+  return (
+    <div className="card mb-6">
+      <div className="card-body">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Audience lists</h2>
+            <p className="text-sm text-gray-600">Groups of friends you can share posts with, or hide them from</p>
+          </div>
+          <button
+            onClick={() => setEditing({})}
+            className="btn btn-outline btn-sm"
+          >
+            New list
+          </button>
+        </div>
+
+        {lists.length === 0 ? (
+          <p className="text-sm text-gray-500">You haven't made any lists</p>
+        ) : (
+          <div className="space-y-3">
+            {lists.map((list) => (
+              <div key={list._id} className="flex items-center justify-between">
+                <div>
+                  <p className="font-medium text-gray-900">{list.name}</p>
+                  <p className="text-sm text-gray-500">
+                    {list.members.length} {list.members.length === 1 ? 'friend' : 'friends'}
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setEditing(list)}
+                    className="btn btn-outline btn-sm"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(list)}
+                    disabled={deleteMutation.isLoading}
+                    className="btn btn-outline btn-sm"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {editing && (
+        <AudienceListModal
+          list={editing._id ? editing : null}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default AudienceListSettings;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import { Link } from 'react-router-dom';
+import { audienceListsAPI } from '../utils/api';
+
+const selectClassName = 'px-3 py-2 bg-gray-50 border-0 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:bg-white transition-all duration-200';
+
+// Privacy settings that need one of the user's audience lists
+export const LIST_PRIVACIES = ['list', 'friends_except'];
+
+// Who a post is shown to: `value` is `{ privacy, audienceList }`, with
+// `audienceList` an id (or '') for the list and friends-except options
+function AudiencePicker({ value, onChange }) {
+  const needsList = LIST_PRIVACIES.includes(value.privacy);
+
+  const { data: listsData, isLoading } = useQuery('audienceLists', audienceListsAPI.getLists);
+  const lists = listsData?.data?.lists || [];
+
+  return (
+    <div className="flex items-center space-x-2">
+      <select
+        value={value.privacy}
+        onChange={(e) => onChange({ ...value, privacy: e.target.value })}
+        className={selectClassName}
+      >
+        <option value="public">🌍 Public</option>
+        <option value="friends">👥 Friends</option>
+        <option value="friends_except">🚫 Friends except…</option>
+        <option value="list">⭐ Specific list…</option>
+        <option value="private">🔒 Only me</option>
+      </select>
+
+      {needsList && !isLoading && (
+        lists.length === 0 ? (
+          <span className="text-sm text-gray-500">
+            <Link to="/settings" className="text-blue-600 hover:underline">Create a list</Link> in Settings first
+          </span>
+        ) : (
+          <select
+            value={value.audienceList}
+            onChange={(e) => onChange({ ...value, audienceList: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="">Choose a list</option>
+            {lists.map((list) => (
+              <option key={list._id} value={list._id}>
+                {list.name} ({list.members.length})
+              </option>
+            ))}
+          </select>
+        )
+      )}
+    </div>
+  );
+}
+
+export default AudiencePicker;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import RichText from './RichText';
+
+// Replies stop indenting past this depth so deep threads stay readable
+const MAX_INDENT_DEPTH = 3;
+
+function CommentItem({ comment, postAuthorId, currentUser, depth = 0, onReply, onEdit, onDelete, onReport }) {
+  const [showReply, setShowReply] = useState(false);
+  const [replyText, setReplyText] = useState('');
+  const [isEditing, setIsEditing] = useState(false);
+  const [editText, setEditText] = useState(comment.content);
+
+  const isCommentAuthor = comment.user._id === currentUser.id;
+  const canDelete = isCommentAuthor || postAuthorId === currentUser.id;
+
+  const handleReplySubmit = (e) => {
+    e.preventDefault();
+    if (!replyText.trim()) return;
+
+    onReply(comment._id, replyText);
+    setReplyText('');
+    setShowReply(false);
+  };
+
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    if (!editText.trim()) return;
+
+    onEdit(comment._id, editText);
+    setIsEditing(false);
+  };
+
+  const handleDelete = () => {
+    const message = comment.replies?.length > 0
+      ? 'Delete this comment and all of its replies?'
+      : 'Are you sure you want to delete this comment?';
+    if (window.confirm(message)) {
+      onDelete(comment._id);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex space-x-3">
+        <img
+          src={comment.user.profilePicture || `https://ui-avatars.com/api/?name=${comment.user.firstName}+${comment.user.lastName}&background=818cf8&color=ffffff`}
+          alt={comment.user.firstName}
+          className="avatar avatar-sm"
+        />
+        <div className="flex-1">
+          {isEditing ? (
+            <form onSubmit={handleEditSubmit} className="flex space-x-2">
+              <input
+                type="text"
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                maxLength={500}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={!editText.trim()}
+                className="btn btn-primary btn-sm disabled:opacity-50"
+              >
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setIsEditing(false);
+                  setEditText(comment.content);
+                }}
+                className="btn btn-outline btn-sm"
+              >
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <div className="bg-gray-100 rounded-lg px-3 py-2">
+              <h4 className="font-semibold text-sm text-gray-900">
+                {comment.user.firstName} {comment.user.lastName}
+              </h4>
+              <p className="text-sm text-gray-700">
+                <RichText text={comment.content} mentions={comment.mentions} />
+              </p>
+            </div>
+          )}
+          <div className="flex items-center space-x-3 text-xs text-gray-500 mt-1">
+            <span>
+              {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+              {comment.editedAt && ' · edited'}
+            </span>
+            <button onClick={() => setShowReply(!showReply)} className="hover:text-gray-700">
+              Reply
+            </button>
+            {isCommentAuthor && !isEditing && (
+              <button onClick={() => setIsEditing(true)} className="hover:text-gray-700">
+                Edit
+              </button>
+            )}
+            {canDelete && (
+              <button onClick={handleDelete} className="hover:text-red-600">
+                Delete
+              </button>
+            )}
+            {!isCommentAuthor && (
+              <button onClick={() => onReport(comment._id)} className="hover:text-gray-700">
+                Report
+              </button>
+            )}
+          </div>
+
+          {showReply && (
+            <form onSubmit={handleReplySubmit} className="flex space-x-2 mt-2">
+              <input
+                type="text"
+                value={replyText}
+                onChange={(e) => setReplyText(e.target.value)}
+                placeholder={`Reply to ${comment.user.firstName}...`}
+                maxLength={500}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={!replyText.trim()}
+                className="btn btn-primary btn-sm disabled:opacity-50"
+              >
+                Reply
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+
+      {comment.replies?.length > 0 && (
+        <div className={`space-y-3 mt-3 ${depth < MAX_INDENT_DEPTH ? 'ml-10' : ''}`}>
+          {comment.replies.map((reply) => (
+            <CommentItem
+              key={reply._id}
+              comment={reply}
+              postAuthorId={postAuthorId}
+              currentUser={currentUser}
+              depth={depth + 1}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onReport={onReport}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CommentItem;
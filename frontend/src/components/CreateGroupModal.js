@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation } from 'react-query';
+import { X } from 'lucide-react';
+import { conversationsAPI, friendsAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+function CreateGroupModal({ onClose, onCreated }) {
+  const [name, setName] = useState('');
+  const [selectedMembers, setSelectedMembers] = useState([]);
+
+  const { data: friendsData, isLoading: friendsLoading } = useQuery(
+    'friends',
+    friendsAPI.getFriends
+  );
+
+  const createGroupMutation = useMutation(
+    (groupData) => conversationsAPI.createGroup(groupData),
+    {
+      onSuccess: (response) => {
+        toast.success('Group created!');
+        onCreated(response.data.conversation);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to create group');
+      }
+    }
+  );
+
+  const toggleMember = (friendId) => {
+    setSelectedMembers(prev =>
+      prev.includes(friendId)
+        ? prev.filter(id => id !== friendId)
+        : [...prev, friendId]
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim() || selectedMembers.length === 0) return;
+    createGroupMutation.mutate({ name: name.trim(), members: selectedMembers });
+  };
+
+  const friends = friendsData?.data?.friends || [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="card max-w-md w-full max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="card-header flex items-center justify-between">
+          <h2 className="text-xl font-semibold">New Group</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-100"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex flex-col overflow-hidden">
+          <div className="card-body space-y-4 overflow-y-auto">
+            {/* Group Name */}
+            <div>
+              <label htmlFor="groupName" className="block text-sm font-medium text-gray-700 mb-1">
+                Group Name
+              </label>
+              <input
+                type="text"
+                id="groupName"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={100}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                required
+              />
+            </div>
+
+            {/* Members */}
+            <div>
+              <p className="block text-sm font-medium text-gray-700 mb-1">
+                Members ({selectedMembers.length} selected)
+              </p>
+              {friendsLoading ? (
+                <div className="loading">
+                  <div className="spinner"></div>
+                </div>
+              ) : friends.length === 0 ? (
+                <p className="text-sm text-gray-500">Add some friends to start a group.</p>
+              ) : (
+                <div className="space-y-2">
+                  {friends.map((friend) => (
+                    <label key={friend._id} className="flex items-center space-x-3 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={selectedMembers.includes(friend._id)}
+                        onChange={() => toggleMember(friend._id)}
+                      />
+                      <img
+                        src={friend.profilePicture || `https://ui-avatars.com/api/?name=${friend.firstName}+${friend.lastName}&background=3b82f6&color=fff`}
+                        alt={friend.firstName}
+                        className="avatar avatar-sm"
+                      />
+                      <span className="text-sm text-gray-900">
+                        {friend.firstName} {friend.lastName}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </form>
+
+        {/* Modal Footer with Buttons */}
+        <div className="card-footer flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn btn-outline"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            onClick={handleSubmit}
+            disabled={!name.trim() || selectedMembers.length === 0 || createGroupMutation.isLoading}
+            className="btn btn-primary disabled:opacity-50"
+          >
+            {createGroupMutation.isLoading ? (
+              <div className="spinner w-4 h-4"></div>
+            ) : (
+              'Create Group'
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CreateGroupModal;
@@ -3,13 +3,15 @@ import { useMutation } from 'react-query';
 import { Image, Video } from 'lucide-react';
 import { postsAPI } from '../utils/api';
 import { useAuth } from '../contexts/AuthContext';
+import MentionTextarea from './MentionTextarea';
+import AudiencePicker, { LIST_PRIVACIES } from './AudiencePicker';
 import toast from 'react-hot-toast';
 
 function CreatePost({ onPostCreated }) {
   const { user } = useAuth();
   const [content, setContent] = useState('');
   const [selectedFiles, setSelectedFiles] = useState([]);
-  const [privacy, setPrivacy] = useState('friends');
+  const [audience, setAudience] = useState({ privacy: 'friends', audienceList: '' });
   const [isExpanded, setIsExpanded] = useState(false);
 
   const createPostMutation = useMutation(
@@ -45,10 +47,17 @@ function CreatePost({ onPostCreated }) {
       toast.error('Please add text to your post');
       return;
     }
+    if (LIST_PRIVACIES.includes(audience.privacy) && !audience.audienceList) {
+      toast.error('Choose an audience list');
+      return;
+    }
 
     const formData = new FormData();
     formData.append('content', content);
-    formData.append('privacy', privacy);
+    formData.append('privacy', audience.privacy);
+    if (LIST_PRIVACIES.includes(audience.privacy)) {
+      formData.append('audienceList', audience.audienceList);
+    }
     
     selectedFiles.forEach(file => {
       formData.append('media', file);
@@ -68,9 +77,9 @@ function CreatePost({ onPostCreated }) {
           />
           <div className="flex-1">
             <form onSubmit={handleSubmit}>
-              <textarea
+              <MentionTextarea
                 value={content}
-                onChange={(e) => setContent(e.target.value)}
+                onChange={setContent}
                 onFocus={() => setIsExpanded(true)}
                 placeholder="What's on your mind?"
                 className="w-full p-3 border-0 bg-gray-50 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:bg-white transition-all duration-200"
@@ -115,17 +124,9 @@ function CreatePost({ onPostCreated }) {
 
               {isExpanded && (
                 <div className="mt-4">
-                  {/* Privacy Selector */}
+                  {/* Audience Selector */}
                   <div className="mb-4">
-                    <select
-                      value={privacy}
-                      onChange={(e) => setPrivacy(e.target.value)}
-                      className="px-3 py-2 bg-gray-50 border-0 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:bg-white transition-all duration-200"
-                    >
-                      <option value="public">🌍 Public</option>
-                      <option value="friends">👥 Friends</option>
-                      <option value="private">🔒 Only me</option>
-                    </select>
+                    <AudiencePicker value={audience} onChange={setAudience} />
                   </div>
 
                   {/* Action Buttons */}
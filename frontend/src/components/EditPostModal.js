@@ -0,0 +1,280 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { X, Image, Video } from 'lucide-react';
+import { postsAPI, friendsAPI } from '../utils/api';
+import MentionTextarea from './MentionTextarea';
+import AudiencePicker, { LIST_PRIVACIES } from './AudiencePicker';
+import toast from 'react-hot-toast';
+
+// Most media files a post can have, as enforced by the API
+const MAX_POST_MEDIA = 5;
+
+function EditPostModal({ post, onClose }) {
+  const queryClient = useQueryClient();
+  const [content, setContent] = useState(post.content || '');
+  const initialAudience = { privacy: post.privacy, audienceList: post.audienceList?._id || '' };
+  const [audience, setAudience] = useState(initialAudience);
+  // Pending tags stay selected so saving doesn't cancel them
+  const [taggedUsers, setTaggedUsers] = useState(
+    [...(post.taggedUsers || []), ...(post.pendingTags || [])].map(user => user._id)
+  );
+  const [removedMedia, setRemovedMedia] = useState([]);
+  const [newFiles, setNewFiles] = useState([]);
+
+  const { data: friendsData, isLoading: friendsLoading } = useQuery(
+    'friends',
+    friendsAPI.getFriends
+  );
+
+  const editPostMutation = useMutation(
+    (formData) => postsAPI.editPost(post._id, formData),
+    {
+      onSuccess: () => {
+        toast.success('Post updated');
+        queryClient.invalidateQueries('feed');
+        queryClient.invalidateQueries('userPosts');
+        queryClient.invalidateQueries('hashtag');
+        queryClient.invalidateQueries('taggedPosts');
+        queryClient.invalidateQueries(['postRevisions', post._id]);
+        onClose();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update post');
+      }
+    }
+  );
+
+  const media = [
+    ...(post.images || []).map(image => ({ ...image, type: 'image' })),
+    ...(post.videos || []).map(video => ({ ...video, type: 'video' }))
+  ].filter(item => !removedMedia.includes(item._id));
+  const mediaCount = media.length + newFiles.length;
+  // Text may be left empty on shares and while some media remains
+  const canSave = post.isShare || content.trim().length > 0 || mediaCount > 0;
+
+  const handleFileSelect = (e) => {
+    const files = Array.from(e.target.files);
+    setNewFiles(prev => [...prev, ...files]);
+    e.target.value = '';
+  };
+
+  const toggleTag = (friendId) => {
+    setTaggedUsers(prev =>
+      prev.includes(friendId)
+        ? prev.filter(id => id !== friendId)
+        : [...prev, friendId]
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+    if (mediaCount > MAX_POST_MEDIA) {
+      toast.error(`A post can have at most ${MAX_POST_MEDIA} media files`);
+      return;
+    }
+    // Only send the audience when it changed, so a post whose list was
+    // deleted keeps the members the list had last
+    const audienceChanged = audience.privacy !== initialAudience.privacy ||
+      audience.audienceList !== initialAudience.audienceList;
+    if (audienceChanged && LIST_PRIVACIES.includes(audience.privacy) && !audience.audienceList) {
+      toast.error('Choose an audience list');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('content', content);
+    if (audienceChanged) {
+      formData.append('privacy', audience.privacy);
+      if (LIST_PRIVACIES.includes(audience.privacy)) {
+        formData.append('audienceList', audience.audienceList);
+      }
+    }
+    formData.append('taggedUsers', JSON.stringify(taggedUsers));
+    formData.append('removeMedia', JSON.stringify(removedMedia));
+    newFiles.forEach(file => {
+      formData.append('media', file);
+    });
+
+    editPostMutation.mutate(formData);
+  };
+
+  const friends = friendsData?.data?.friends || [];
+  // Non-friends already tagged (or waiting to approve) stay selectable so they can be removed
+  const pendingIds = (post.pendingTags || []).map(user => user._id);
+  const taggable = [
+    ...friends,
+    ...[...(post.taggedUsers || []), ...(post.pendingTags || [])]
+      .filter(user => !friends.some(friend => friend._id === user._id))
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="card max-w-lg w-full max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="card-header flex items-center justify-between">
+          <h2 className="text-xl font-semibold">Edit post</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-100"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex flex-col overflow-hidden">
+          <div className="card-body space-y-4 overflow-y-auto">
+            <MentionTextarea
+              value={content}
+              onChange={setContent}
+              placeholder={post.isShare ? 'Say something about this (optional)' : "What's on your mind?"}
+              maxLength={2000}
+              rows={4}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+
+            {/* Media */}
+            {!post.isShare && (
+              <div>
+                {mediaCount > 0 && (
+                  <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-2">
+                    {media.map((item) => (
+                      <div key={item._id} className="relative">
+                        {item.type === 'image' ? (
+                          <img src={item.url} alt="" className="w-full h-24 object-cover rounded-lg" />
+                        ) : (
+                          <video src={item.url} className="w-full h-24 object-cover rounded-lg" />
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => setRemovedMedia(prev => [...prev, item._id])}
+                          className="absolute top-1 right-1 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs"
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ))}
+                    {newFiles.map((file, index) => (
+                      <div key={`new-${index}`} className="relative">
+                        {file.type.startsWith('image/') ? (
+                          <img
+                            src={URL.createObjectURL(file)}
+                            alt={`Preview ${index}`}
+                            className="w-full h-24 object-cover rounded-lg"
+                          />
+                        ) : (
+                          <video
+                            src={URL.createObjectURL(file)}
+                            className="w-full h-24 object-cover rounded-lg"
+                          />
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => setNewFiles(prev => prev.filter((_, i) => i !== index))}
+                          className="absolute top-1 right-1 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs"
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div className="flex items-center space-x-2">
+                  <label className="cursor-pointer p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors">
+                    <Image className="w-5 h-5" />
+                    <input
+                      type="file"
+                      accept="image/*"
+                      multiple
+                      onChange={handleFileSelect}
+                      className="hidden"
+                    />
+                  </label>
+                  <label className="cursor-pointer p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors">
+                    <Video className="w-5 h-5" />
+                    <input
+                      type="file"
+                      accept="video/*"
+                      multiple
+                      onChange={handleFileSelect}
+                      className="hidden"
+                    />
+                  </label>
+                  <span className="text-sm text-gray-500">
+                    {mediaCount}/{MAX_POST_MEDIA} files
+                  </span>
+                </div>
+              </div>
+            )}
+
+            {/* Audience */}
+            <AudiencePicker value={audience} onChange={setAudience} />
+
+            {/* Tagged friends */}
+            <div>
+              <p className="block text-sm font-medium text-gray-700 mb-1">
+                Tagged ({taggedUsers.length})
+              </p>
+              {friendsLoading ? (
+                <div className="loading">
+                  <div className="spinner"></div>
+                </div>
+              ) : taggable.length === 0 ? (
+                <p className="text-sm text-gray-500">Add some friends to tag them in posts.</p>
+              ) : (
+                <div className="space-y-2">
+                  {taggable.map((friend) => (
+                    <label key={friend._id} className="flex items-center space-x-3 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={taggedUsers.includes(friend._id)}
+                        onChange={() => toggleTag(friend._id)}
+                      />
+                      <img
+                        src={friend.profilePicture || `https://ui-avatars.com/api/?name=${friend.firstName}+${friend.lastName}&background=818cf8&color=ffffff`}
+                        alt={friend.firstName}
+                        className="avatar avatar-sm"
+                      />
+                      <span className="text-sm text-gray-900">
+                        {friend.firstName} {friend.lastName}
+                        {pendingIds.includes(friend._id) && (
+                          <span className="text-gray-500"> (pending)</span>
+                        )}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </form>
+
+        {/* Modal Footer with Buttons */}
+        <div className="card-footer flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn btn-outline"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            onClick={handleSubmit}
+            disabled={!canSave || editPostMutation.isLoading}
+            title={!canSave ? 'Add text or media to your post' : ''}
+            className="btn btn-primary disabled:opacity-50"
+          >
+            {editPostMutation.isLoading ? (
+              <div className="spinner w-4 h-4"></div>
+            ) : (
+              'Save'
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EditPostModal;
@@ -1,7 +1,10 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Home, User, Users, MessageCircle, Search, LogOut } from 'lucide-react';
+import { Home, User, Users, MessageCircle, Search, LogOut, Settings, Shield } from 'lucide-react';
+import NotificationBell from './NotificationBell';
+import { authAPI } from '../utils/api';
+import toast from 'react-hot-toast';
 
 function Layout({ children }) {
   const { user, logout } = useAuth();
@@ -14,8 +17,21 @@ function Layout({ children }) {
     { name: 'Search', href: '/search', icon: Search },
   ];
   const [openMenu, setOpenMenu] = useState(false);
+  const [resendingVerification, setResendingVerification] = useState(false);
   const menuRef = useRef(null);
 
+  const handleResendVerification = async () => {
+    setResendingVerification(true);
+    try {
+      await authAPI.resendVerification();
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setResendingVerification(false);
+    }
+  };
+
   const isActive = (path) => {
     if (path === '/' && location.pathname === '/') return true;
     if (path !== '/' && location.pathname.startsWith(path)) return true;
@@ -69,6 +85,7 @@ function Layout({ children }) {
 
             {/* User Menu */}
             <div className="flex items-center space-x-4 ">
+              <NotificationBell />
               <div className="relative" ref={menuRef}>
                 <button
                   onClick={() => setOpenMenu((v) => !v)}
@@ -100,6 +117,24 @@ function Layout({ children }) {
                         <User className="w-4 h-4 mr-2" />
                         Profile
                       </Link>
+                      <Link
+                        to="/settings"
+                        className="flex items-center px-4 py-2 text-sm text-gray-300 hover:bg-gray-100"
+                        onClick={() => setOpenMenu(false)}
+                      >
+                        <Settings className="w-4 h-4 mr-2" />
+                        Settings
+                      </Link>
+                      {(user?.role === 'moderator' || user?.role === 'admin') && (
+                        <Link
+                          to="/moderation"
+                          className="flex items-center px-4 py-2 text-sm text-gray-300 hover:bg-gray-100"
+                          onClick={() => setOpenMenu(false)}
+                        >
+                          <Shield className="w-4 h-4 mr-2" />
+                          Moderation
+                        </Link>
+                      )}
                       <button
                         onClick={() => { setOpenMenu(false); logout(); }}
                         className="w-full text-left flex items-center px-4 py-2 text-sm text-red-600 hover:bg-red-50 hover:text-red-700"
@@ -139,6 +174,21 @@ function Layout({ children }) {
         </div>
       </nav>
 
+      {user && user.isEmailVerified === false && (
+        <div className="bg-yellow-50 border-b border-yellow-200">
+          <div className="max-w-7xl mx-auto px-4 py-2 text-sm text-yellow-800 flex items-center justify-between">
+            <span>Please verify your email address. Check your inbox for the link.</span>
+            <button
+              onClick={handleResendVerification}
+              disabled={resendingVerification}
+              className="font-medium underline disabled:opacity-50"
+            >
+              Resend email
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Main Content */}
       <main className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
         {children}
@@ -0,0 +1,110 @@
+import React, { useRef, useState } from 'react';
+import { useQuery } from 'react-query';
+import { friendsAPI } from '../utils/api';
+import { fullName } from '../utils/textEntities';
+
+const MAX_SUGGESTIONS = 5;
+// "@" plus up to two words typed right before the caret
+const MENTION_QUERY = /(^|[^\p{L}\p{N}_])@([\p{L}\p{N}_'-]*(?: [\p{L}\p{N}_'-]*)?)$/u;
+
+// Textarea that suggests friends after "@" and completes their full name,
+// which the API resolves into a mention
+function MentionTextarea({ value, onChange, ...props }) {
+  const textareaRef = useRef(null);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const { data: friendsData } = useQuery('friends', friendsAPI.getFriends);
+  const friends = friendsData?.data?.friends || [];
+
+  const suggestions = mentionQuery === null ? [] : friends
+    .filter(friend => {
+      const query = mentionQuery.toLowerCase();
+      return fullName(friend).toLowerCase().startsWith(query) ||
+        friend.lastName.toLowerCase().startsWith(query);
+    })
+    .slice(0, MAX_SUGGESTIONS);
+
+  const updateQuery = (text, caret) => {
+    const match = text.slice(0, caret).match(MENTION_QUERY);
+    setMentionQuery(match ? match[2] : null);
+    setActiveIndex(0);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateQuery(e.target.value, e.target.selectionStart);
+  };
+
+  const selectFriend = (friend) => {
+    const caret = textareaRef.current.selectionStart;
+    const start = caret - mentionQuery.length - 1;
+    const mention = `@${fullName(friend)} `;
+    onChange(value.slice(0, start) + mention + value.slice(caret));
+    setMentionQuery(null);
+
+    // Put the caret after the inserted name once React has re-rendered
+    requestAnimationFrame(() => {
+      textareaRef.current.focus();
+      textareaRef.current.setSelectionRange(start + mention.length, start + mention.length);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      selectFriend(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setMentionQuery(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        {...props}
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => updateQuery(e.target.value, e.target.selectionStart)}
+        onBlur={() => setMentionQuery(null)}
+      />
+      {suggestions.length > 0 && (
+        <div className="absolute left-0 right-0 mt-1 bg-white rounded-md shadow-lg py-1 z-10">
+          {suggestions.map((friend, index) => (
+            <button
+              key={friend._id}
+              type="button"
+              // Keep focus in the textarea so its caret position survives
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectFriend(friend);
+              }}
+              className={`flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 space-x-2 ${
+                index === activeIndex ? 'bg-gray-100' : ''
+              }`}
+            >
+              <img
+                src={friend.profilePicture || `https://ui-avatars.com/api/?name=${friend.firstName}+${friend.lastName}&background=818cf8&color=ffffff`}
+                alt={friend.firstName}
+                className="avatar avatar-sm"
+              />
+              <span>{fullName(friend)}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MentionTextarea;
@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useMutation, useQueryClient } from 'react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { moderationAPI } from '../utils/api';
+import { REPORT_REASONS } from './ReportModal';
+import toast from 'react-hot-toast';
+
+const ACTION_LABELS = {
+  none: 'Dismissed',
+  remove_content: 'Content removed',
+  warn: 'User warned',
+  suspend: 'User suspended',
+};
+
+const reasonLabel = (reason) => REPORT_REASONS.find(option => option.value === reason)?.label || reason;
+
+const userName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'Deleted user');
+
+function ModerationReportCard({ report, currentUser }) {
+  const queryClient = useQueryClient();
+  const [showResolve, setShowResolve] = useState(false);
+  const [resolveData, setResolveData] = useState({
+    action: 'none',
+    removeContent: false,
+    permanent: false,
+    durationDays: 7,
+    note: '',
+  });
+
+  const isOpen = report.status === 'open' || report.status === 'reviewing';
+  const isMine = report.assignedTo?._id === currentUser.id;
+
+  const updateMutation = useMutation(
+    (data) => moderationAPI.updateReport(report._id, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('moderationReports');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update report');
+      }
+    }
+  );
+
+  const resolveMutation = useMutation(
+    (data) => moderationAPI.resolveReport(report._id, data),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries('moderationReports');
+        queryClient.invalidateQueries('auditLog');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to resolve report');
+      }
+    }
+  );
+
+  const handleResolveChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setResolveData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleResolveSubmit = (e) => {
+    e.preventDefault();
+    const { action, removeContent, permanent, durationDays, note } = resolveData;
+    resolveMutation.mutate({
+      action,
+      note,
+      ...((action === 'warn' || action === 'suspend') && { removeContent }),
+      ...(action === 'suspend' && (permanent ? { permanent } : { durationDays: parseInt(durationDays) })),
+    });
+  };
+
+  return (
+    <div className="card">
+      <div className="card-body space-y-3">
+        <div className="flex items-start justify-between">
+          <div>
+            <p className="font-semibold text-gray-900">
+              {reasonLabel(report.reason)}
+              <span className="ml-2 text-xs font-medium text-gray-500 uppercase">{report.targetType}</span>
+            </p>
+            <p className="text-sm text-gray-600">
+              Against{' '}
+              {report.targetUser ? (
+                <Link to={`/profile/${report.targetUser._id}`} className="text-blue-600 hover:text-blue-500">
+                  {userName(report.targetUser)}
+                </Link>
+              ) : userName(report.targetUser)}
+              {' · '}reported by {userName(report.reporter)}{' '}
+              {formatDistanceToNow(new Date(report.createdAt), { addSuffix: true })}
+            </p>
+          </div>
+          <span className="text-xs text-gray-500">
+            {report.status === 'reviewing'
+              ? `Reviewing: ${userName(report.assignedTo)}`
+              : report.status}
+          </span>
+        </div>
+
+        {report.snapshot && (
+          <p className="text-sm text-gray-900 bg-gray-100 rounded-md px-3 py-2 whitespace-pre-wrap">
+            {report.snapshot}
+          </p>
+        )}
+        {report.details && (
+          <p className="text-sm text-gray-600">
+            <span className="font-medium">Reporter says:</span> {report.details}
+          </p>
+        )}
+
+        {!isOpen && report.resolution && (
+          <p className="text-sm text-gray-600">
+            {ACTION_LABELS[report.resolution.action]}
+            {report.resolution.contentRemoved && report.resolution.action !== 'remove_content' && ', content removed'}
+            {' by '}{userName(report.resolution.resolvedBy)}
+            {report.resolution.resolvedAt && ` ${formatDistanceToNow(new Date(report.resolution.resolvedAt), { addSuffix: true })}`}
+            {report.resolution.note && ` · ${report.resolution.note}`}
+          </p>
+        )}
+
+        {isOpen && (
+          <div className="flex space-x-2">
+            {isMine ? (
+              <button
+                onClick={() => updateMutation.mutate({ status: 'open', assignedTo: null })}
+                disabled={updateMutation.isLoading}
+                className="btn btn-outline btn-sm"
+              >
+                Release
+              </button>
+            ) : (
+              <button
+                onClick={() => updateMutation.mutate({ status: 'reviewing', assignedTo: currentUser.id })}
+                disabled={updateMutation.isLoading}
+                className="btn btn-outline btn-sm"
+              >
+                Take
+              </button>
+            )}
+            <button
+              onClick={() => setShowResolve(!showResolve)}
+              className="btn btn-primary btn-sm"
+            >
+              Resolve
+            </button>
+          </div>
+        )}
+
+        {isOpen && showResolve && (
+          <form onSubmit={handleResolveSubmit} className="space-y-3 border-t border-gray-200 pt-3">
+            <select
+              name="action"
+              value={resolveData.action}
+              onChange={handleResolveChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="none">Dismiss, no action needed</option>
+              <option value="remove_content">Remove the content</option>
+              <option value="warn">Warn the user</option>
+              <option value="suspend">Suspend the user</option>
+            </select>
+            {(resolveData.action === 'warn' || resolveData.action === 'suspend') && (
+              <label className="flex items-center space-x-2 text-sm text-gray-900">
+                <input
+                  type="checkbox"
+                  name="removeContent"
+                  checked={resolveData.removeContent}
+                  onChange={handleResolveChange}
+                />
+                <span>Also remove the content</span>
+              </label>
+            )}
+            {resolveData.action === 'suspend' && (
+              <label className="flex items-center space-x-2 text-sm text-gray-900">
+                <input
+                  type="checkbox"
+                  name="permanent"
+                  checked={resolveData.permanent}
+                  onChange={handleResolveChange}
+                />
+                <span>Suspend permanently</span>
+              </label>
+            )}
+            {resolveData.action === 'suspend' && !resolveData.permanent && (
+              <label className="flex items-center space-x-2 text-sm text-gray-900">
+                <span>Suspend for</span>
+                <input
+                  type="number"
+                  name="durationDays"
+                  min={1}
+                  max={365}
+                  value={resolveData.durationDays}
+                  onChange={handleResolveChange}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                />
+                <span>days</span>
+              </label>
+            )}
+            <textarea
+              name="note"
+              value={resolveData.note}
+              onChange={handleResolveChange}
+              placeholder={{
+                warn: 'Message to the user',
+                suspend: 'Reason shown to the user',
+              }[resolveData.action] || 'Note for the audit log (optional)'}
+              maxLength={1000}
+              rows={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={resolveMutation.isLoading}
+              className={`btn btn-sm ${resolveData.action === 'none' ? 'btn-outline' : 'btn-danger'}`}
+            >
+              {resolveData.action === 'none' ? 'Dismiss report' : 'Apply'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ModerationReportCard;
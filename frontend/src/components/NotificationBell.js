@@ -0,0 +1,194 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { Bell, Shield } from 'lucide-react';
+import { notificationsAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+import toast from 'react-hot-toast';
+
+const describeNotification = (notification) => {
+  switch (notification.type) {
+    case 'reaction':
+      return 'reacted to your post';
+    case 'comment':
+      return 'commented on your post';
+    case 'reply':
+      return 'replied to your comment';
+    case 'tag':
+      return 'tagged you in a post';
+    case 'tag_request':
+      return 'wants to tag you in a post';
+    case 'mention':
+      return notification.comment ? 'mentioned you in a comment' : 'mentioned you in a post';
+    case 'share':
+      return 'shared your post';
+    case 'friend_request':
+      return 'sent you a friend request';
+    case 'friend_accept':
+      return 'accepted your friend request';
+    case 'warning':
+      return notification.message;
+    default:
+      return 'sent you a notification';
+  }
+};
+
+function NotificationBell() {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+  const bellRef = useRef(null);
+
+  const { data: notificationsData } = useQuery(
+    'notifications',
+    () => notificationsAPI.getNotifications()
+  );
+
+  const markAsReadMutation = useMutation(
+    (notificationId) => notificationsAPI.markAsRead(notificationId),
+    {
+      onSuccess: () => queryClient.invalidateQueries('notifications')
+    }
+  );
+
+  const markAllAsReadMutation = useMutation(
+    () => notificationsAPI.markAllAsRead(),
+    {
+      onSuccess: () => queryClient.invalidateQueries('notifications'),
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to mark notifications as read');
+      }
+    }
+  );
+
+  // Live notifications pushed to the user's room
+  useEffect(() => {
+    if (socket) {
+      socket.on('notification', (notification) => {
+        queryClient.invalidateQueries('notifications');
+        toast(notification.type === 'warning'
+          ? `Warning from the moderators: ${notification.message}`
+          : `${notification.actor.firstName} ${describeNotification(notification)}`);
+      });
+
+      return () => {
+        socket.off('notification');
+      };
+    }
+  }, [socket, queryClient]);
+
+  useEffect(() => {
+    const handler = (e) => {
+      if (!bellRef.current) return;
+      if (!bellRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('click', handler);
+    return () => document.removeEventListener('click', handler);
+  }, []);
+
+  const handleSelect = (notification) => {
+    if (!notification.isRead) {
+      markAsReadMutation.mutate(notification._id);
+    }
+    setOpen(false);
+
+    if (notification.type === 'friend_request') {
+      navigate('/friends');
+    } else if (notification.type === 'warning') {
+      return;
+    } else if (['tag', 'tag_request'].includes(notification.type)) {
+      navigate(`/profile/${user.id}?tab=tagged`);
+    } else if (['friend_accept', 'mention', 'share'].includes(notification.type)) {
+      navigate(`/profile/${notification.actor._id}`);
+    } else {
+      navigate(`/profile/${user.id}`);
+    }
+  };
+
+  const notifications = notificationsData?.data?.notifications || [];
+  const unreadCount = notificationsData?.data?.unreadCount || 0;
+
+  return (
+    <div className="relative" ref={bellRef}>
+      <button
+        onClick={() => setOpen((v) => !v)}
+        className="relative p-2 text-gray-400 hover:text-gray-200 rounded-full focus:outline-none"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        title="Notifications"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-600 text-white text-xs rounded-full px-1.5">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 bg-black border border-gray-200 rounded-lg shadow-lg w-80 z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+            <span className="text-sm font-semibold text-gray-300">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markAllAsReadMutation.mutate()}
+                className="text-xs text-blue-600 hover:text-blue-500"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+          <div className="max-h-96 overflow-y-auto" role="menu" aria-label="Notifications">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-center text-gray-500">No notifications yet</p>
+            ) : (
+              notifications.map((notification) => (
+                <button
+                  key={notification._id}
+                  onClick={() => handleSelect(notification)}
+                  className={`w-full text-left flex items-start space-x-3 px-4 py-3 hover:bg-gray-100 ${
+                    notification.isRead ? '' : 'bg-blue-50'
+                  }`}
+                >
+                  {notification.type === 'warning' ? (
+                    <Shield className="w-8 h-8 text-red-600 flex-shrink-0" />
+                  ) : (
+                    <img
+                      src={notification.actor.profilePicture || `https://ui-avatars.com/api/?name=${notification.actor.firstName}+${notification.actor.lastName}&background=818cf8&color=ffffff`}
+                      alt={notification.actor.firstName}
+                      className="avatar avatar-sm"
+                    />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-gray-300">
+                      <span className="font-semibold">
+                        {notification.type === 'warning'
+                          ? 'Moderators:'
+                          : `${notification.actor.firstName} ${notification.actor.lastName}`}
+                      </span>{' '}
+                      {describeNotification(notification)}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                    </p>
+                  </div>
+                  {!notification.isRead && (
+                    <span className="mt-2 w-2 h-2 bg-blue-600 rounded-full flex-shrink-0"></span>
+                  )}
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -1,21 +1,120 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { formatDistanceToNow } from 'date-fns';
-import { Heart, MessageCircle, Share2, MoreHorizontal, Trash2 } from 'lucide-react';
-import { useMutation, useQueryClient } from 'react-query';
+import { ThumbsUp, MessageCircle, Share2, MoreHorizontal, Trash2, Flag, Edit3, UserX } from 'lucide-react';
+import { useInfiniteQuery, useMutation, useQueryClient } from 'react-query';
 import { postsAPI } from '../utils/api';
+import { REACTIONS, getReaction } from '../utils/reactions';
+import CommentItem from './CommentItem';
+import ReactionBreakdown from './ReactionBreakdown';
+import ReportModal from './ReportModal';
+import SharePostModal from './SharePostModal';
+import SharedPostPreview from './SharedPostPreview';
+import EditPostModal from './EditPostModal';
+import PostRevisionsModal from './PostRevisionsModal';
+import RichText from './RichText';
 import toast from 'react-hot-toast';
 
-function PostCard({ post, currentUser, onLike, onComment }) {
+function PostCard({ post, currentUser }) {
   const [showComments, setShowComments] = useState(false);
   const [commentText, setCommentText] = useState('');
   const [showMenu, setShowMenu] = useState(false);
+  const [commentCount, setCommentCount] = useState(post.commentCount);
+  const [viewerReaction, setViewerReaction] = useState(post.viewerReaction || null);
+  const [reactionCounts, setReactionCounts] = useState(post.reactionCounts || {});
+  const [showPicker, setShowPicker] = useState(false);
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  const [reportTarget, setReportTarget] = useState(null);
+  const [showShare, setShowShare] = useState(false);
+  const [showEdit, setShowEdit] = useState(false);
+  const [showRevisions, setShowRevisions] = useState(false);
   const queryClient = useQueryClient();
 
+  useEffect(() => {
+    setCommentCount(post.commentCount);
+  }, [post.commentCount]);
+
+  useEffect(() => {
+    setViewerReaction(post.viewerReaction || null);
+    setReactionCounts(post.reactionCounts || {});
+  }, [post.viewerReaction, post.reactionCounts]);
+
+  const reactMutation = useMutation(
+    (type) => type ? postsAPI.reactToPost(post._id, type) : postsAPI.removeReaction(post._id),
+    {
+      onSuccess: (response) => {
+        setViewerReaction(response.data.viewerReaction);
+        setReactionCounts(response.data.reactionCounts);
+        queryClient.invalidateQueries(['reactions', post._id]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to react to post');
+      }
+    }
+  );
+
+  const {
+    data: commentsData,
+    isLoading: commentsLoading,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery(
+    ['comments', post._id],
+    ({ pageParam = 1 }) => postsAPI.getComments(post._id, pageParam),
+    {
+      enabled: showComments,
+      getNextPageParam: (lastPage) => {
+        const { current, pages } = lastPage.data.pagination;
+        return current < pages ? current + 1 : undefined;
+      }
+    }
+  );
+
+  const addCommentMutation = useMutation(
+    ({ content, parentId }) => postsAPI.commentPost(post._id, content, parentId),
+    {
+      onSuccess: (response) => {
+        setCommentCount(response.data.commentCount);
+        queryClient.invalidateQueries(['comments', post._id]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to add comment');
+      }
+    }
+  );
+
+  const editCommentMutation = useMutation(
+    ({ commentId, content }) => postsAPI.editComment(post._id, commentId, content),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['comments', post._id]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to edit comment');
+      }
+    }
+  );
+
+  const deleteCommentMutation = useMutation(
+    (commentId) => postsAPI.deleteComment(post._id, commentId),
+    {
+      onSuccess: (response) => {
+        setCommentCount(response.data.commentCount);
+        queryClient.invalidateQueries(['comments', post._id]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete comment');
+      }
+    }
+  );
+
   const deletePostMutation = useMutation(
     (postId) => postsAPI.deletePost(postId),
     {
       onSuccess: () => {
         queryClient.invalidateQueries(['feed']);
+        queryClient.invalidateQueries('hashtag');
         toast.success('Post deleted successfully');
       },
       onError: (error) => {
@@ -24,18 +123,55 @@ function PostCard({ post, currentUser, onLike, onComment }) {
     }
   );
 
-  const isLiked = post.likes.some(like => like.user._id === currentUser.id);
+  const removeTagMutation = useMutation(
+    () => postsAPI.removeTag(post._id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('feed');
+        queryClient.invalidateQueries('userPosts');
+        queryClient.invalidateQueries('taggedPosts');
+        toast.success('Tag removed');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to remove tag');
+      }
+    }
+  );
+
+  const comments = commentsData?.pages.flatMap(page => page.data.comments) || [];
   const isAuthor = post.author._id === currentUser.id;
+  const isTagged = post.taggedUsers?.some(user => user._id === currentUser.id);
+  // Pending tags are only sent to the author
+  const tags = [
+    ...(post.taggedUsers || []).map(user => ({ user, isPending: false })),
+    ...(post.pendingTags || []).map(user => ({ user, isPending: true }))
+  ];
+  const reactionCount = Object.values(reactionCounts).reduce((sum, count) => sum + count, 0);
+  const topReactions = REACTIONS
+    .filter(reaction => reactionCounts[reaction.type] > 0)
+    .sort((a, b) => reactionCounts[b.type] - reactionCounts[a.type])
+    .slice(0, 3);
+  const currentReaction = getReaction(viewerReaction);
+  // Sharing a share shares the original; posts for a list or only the
+  // author can't be passed on
+  const shareTarget = post.isShare ? post.sharedPost : post;
+  const canShare = !!shareTarget && ['public', 'friends'].includes(shareTarget.privacy);
+
+  // The main button toggles a plain like; the picker changes the type
+  const handleReactionButton = () => {
+    reactMutation.mutate(viewerReaction ? null : 'like');
+  };
 
-  const handleLike = () => {
-    onLike(post._id);
+  const handleReact = (type) => {
+    setShowPicker(false);
+    reactMutation.mutate(type === viewerReaction ? null : type);
   };
 
   const handleCommentSubmit = (e) => {
     e.preventDefault();
     if (!commentText.trim()) return;
     
-    onComment(post._id, commentText);
+    addCommentMutation.mutate({ content: commentText });
     setCommentText('');
   };
 
@@ -46,6 +182,21 @@ function PostCard({ post, currentUser, onLike, onComment }) {
     setShowMenu(false);
   };
 
+  const handleEdit = () => {
+    setShowEdit(true);
+    setShowMenu(false);
+  };
+
+  const handleRemoveTag = () => {
+    removeTagMutation.mutate();
+    setShowMenu(false);
+  };
+
+  const handleReport = () => {
+    setReportTarget({ targetType: 'post', targetId: post._id });
+    setShowMenu(false);
+  };
+
   return (
     <div className="card">
       {/* Post Header */}
@@ -60,33 +211,72 @@ function PostCard({ post, currentUser, onLike, onComment }) {
             <div>
               <h3 className="font-semibold text-gray-900">
                 {post.author.firstName} {post.author.lastName}
+                {post.isShare && (
+                  <span className="font-normal text-gray-500"> shared a post</span>
+                )}
               </h3>
               <p className="text-sm text-gray-500">
                 {formatDistanceToNow(new Date(post.createdAt), { addSuffix: true })}
+                {post.editedAt && (
+                  <>
+                    {' · '}
+                    <button onClick={() => setShowRevisions(true)} className="hover:underline">
+                      edited
+                    </button>
+                  </>
+                )}
               </p>
             </div>
           </div>
-          {isAuthor && (
-            <div className="relative">
-              <button
-                onClick={() => setShowMenu(!showMenu)}
-                className="p-2 text-gray-400 hover:text-gray-600"
-              >
-                <MoreHorizontal className="w-5 h-5" />
-              </button>
-              {showMenu && (
-                <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg py-1 z-10">
-                  <button
-                    onClick={handleDelete}
-                    className="flex items-center w-full px-4 py-2 text-sm text-red-600 hover:bg-gray-100"
-                  >
-                    <Trash2 className="w-4 h-4 mr-2" />
-                    Delete Post
-                  </button>
-                </div>
-              )}
-            </div>
-          )}
+          <div className="relative">
+            <button
+              onClick={() => setShowMenu(!showMenu)}
+              className="p-2 text-gray-400 hover:text-gray-600"
+            >
+              <MoreHorizontal className="w-5 h-5" />
+            </button>
+            {showMenu && (
+              <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg py-1 z-10">
+                {isAuthor ? (
+                  <>
+                    <button
+                      onClick={handleEdit}
+                      className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      <Edit3 className="w-4 h-4 mr-2" />
+                      Edit Post
+                    </button>
+                    <button
+                      onClick={handleDelete}
+                      className="flex items-center w-full px-4 py-2 text-sm text-red-600 hover:bg-gray-100"
+                    >
+                      <Trash2 className="w-4 h-4 mr-2" />
+                      Delete Post
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    {isTagged && (
+                      <button
+                        onClick={handleRemoveTag}
+                        className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        <UserX className="w-4 h-4 mr-2" />
+                        Remove Tag
+                      </button>
+                    )}
+                    <button
+                      onClick={handleReport}
+                      className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      <Flag className="w-4 h-4 mr-2" />
+                      Report Post
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
         </div>
       </div>
 
@@ -94,18 +284,23 @@ function PostCard({ post, currentUser, onLike, onComment }) {
         {/* Content */}
         {post.content && (
           <div className="mb-4">
-            <p className="text-gray-900 whitespace-pre-wrap">{post.content}</p>
+            <p className="text-gray-900 whitespace-pre-wrap">
+              <RichText text={post.content} mentions={post.mentions} />
+            </p>
           </div>
         )}
 
         {/* Tags */}
-        {post.taggedUsers && post.taggedUsers.length > 0 && (
+        {tags.length > 0 && (
           <div className="mb-4">
             <span className="text-sm text-gray-600">with </span>
-            {post.taggedUsers.map((user, index) => (
-              <span key={user._id} className="text-sm text-blue-600">
-                {user.firstName} {user.lastName}
-                {index < post.taggedUsers.length - 1 && ', '}
+            {tags.map(({ user, isPending }, index) => (
+              <span key={user._id} className="text-sm">
+                <Link to={`/profile/${user._id}`} className="text-blue-600 hover:underline">
+                  {user.firstName} {user.lastName}
+                </Link>
+                {isPending && <span className="text-gray-500"> (pending)</span>}
+                {index < tags.length - 1 && ', '}
               </span>
             ))}
           </div>
@@ -140,14 +335,50 @@ function PostCard({ post, currentUser, onLike, onComment }) {
           </div>
         )}
 
+        {/* Shared post */}
+        {post.isShare && (
+          <div className="mb-4">
+            <SharedPostPreview post={post.sharedPost} />
+          </div>
+        )}
+
         {/* Stats */}
         <div className="py-2 border-t border-gray-200">
           <div className="grid grid-cols-2 text-sm text-gray-600">
-            <div>
-              {post.likeCount} {post.likeCount === 1 ? 'like' : 'likes'}
+            <div className="relative">
+              <button
+                onClick={() => setShowBreakdown(!showBreakdown)}
+                disabled={reactionCount === 0}
+                className="flex items-center space-x-1 hover:underline disabled:no-underline disabled:cursor-default"
+              >
+                {topReactions.length > 0 && (
+                  <span>{topReactions.map(reaction => reaction.emoji).join('')}</span>
+                )}
+                <span>
+                  {reactionCount} {reactionCount === 1 ? 'reaction' : 'reactions'}
+                </span>
+              </button>
+              {showBreakdown && reactionCount > 0 && (
+                <ReactionBreakdown
+                  postId={post._id}
+                  reactionCounts={reactionCounts}
+                  onClose={() => setShowBreakdown(false)}
+                />
+              )}
             </div>
-            <div className="text-right">
-              {post.commentCount} {post.commentCount === 1 ? 'comment' : 'comments'}
+            <div className="text-right space-x-3">
+              <button
+                onClick={() => setShowComments(!showComments)}
+                disabled={commentCount === 0}
+                className="hover:underline disabled:no-underline disabled:cursor-default"
+              >
+                {commentCount} {commentCount === 1 ? 'comment' : 'comments'}
+              </button>
+              {post.shareCount > 0 && (
+                <span>
+                  {post.shareCount} {post.shareCount === 1 ? 'share' : 'shares'}
+                </span>
+              )}
             </div>
           </div>
         </div>
@@ -155,15 +386,44 @@ function PostCard({ post, currentUser, onLike, onComment }) {
         {/* Actions */}
         <div className="py-2 border-t border-gray-200">
           <div className="grid grid-cols-3 gap-3">
-            <button
-              onClick={handleLike}
-              className={`btn btn-outline flex items-center justify-center space-x-2 ${
-                isLiked ? 'text-red-600 bg-red-50' : ''
-              }`}
+            <div
+              className="relative"
+              onMouseEnter={() => setShowPicker(true)}
+              onMouseLeave={() => setShowPicker(false)}
             >
-              <Heart className={`w-5 h-5 ${isLiked ? 'fill-current' : ''}`} />
-              <span>Like</span>
-            </button>
+              {showPicker && (
+                <div className="absolute bottom-full left-0 pb-2 z-10">
+                  <div className="flex bg-white rounded-full shadow-lg px-2 py-1 space-x-1">
+                    {REACTIONS.map((reaction) => (
+                      <button
+                        key={reaction.type}
+                        onClick={() => handleReact(reaction.type)}
+                        title={reaction.label}
+                        className={`text-2xl px-1 transition-transform hover:scale-125 ${
+                          viewerReaction === reaction.type ? 'bg-blue-50 rounded-full' : ''
+                        }`}
+                      >
+                        {reaction.emoji}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+              <button
+                onClick={handleReactionButton}
+                disabled={reactMutation.isLoading}
+                className={`btn btn-outline w-full flex items-center justify-center space-x-2 ${
+                  currentReaction ? 'text-blue-600 bg-blue-50' : ''
+                }`}
+              >
+                {currentReaction ? (
+                  <span className="text-lg leading-none">{currentReaction.emoji}</span>
+                ) : (
+                  <ThumbsUp className="w-5 h-5" />
+                )}
+                <span>{currentReaction ? currentReaction.label : 'Like'}</span>
+              </button>
+            </div>
             <button
               onClick={() => setShowComments(!showComments)}
               className="btn btn-outline flex items-center justify-center space-x-2"
@@ -171,13 +431,45 @@ function PostCard({ post, currentUser, onLike, onComment }) {
               <MessageCircle className="w-5 h-5" />
               <span>Comment</span>
             </button>
-            <button className="btn btn-outline flex items-center justify-center space-x-2">
+            <button
+              onClick={() => setShowShare(true)}
+              disabled={!canShare}
+              title={canShare ? undefined : "This post can't be shared"}
+              className="btn btn-outline flex items-center justify-center space-x-2"
+            >
               <Share2 className="w-5 h-5" />
               <span>Share</span>
             </button>
           </div>
         </div>
 
+        {/* Latest comments until the full threads are opened */}
+        {!showComments && post.recentComments?.length > 0 && (
+          <div className="border-t border-gray-200 pt-3 space-y-2">
+            {post.recentComments.map((comment) => (
+              <div key={comment._id} className="flex items-start space-x-2">
+                <img
+                  src={comment.user.profilePicture || `https://ui-avatars.com/api/?name=${comment.user.firstName}+${comment.user.lastName}&background=818cf8&color=ffffff`}
+                  alt={comment.user.firstName}
+                  className="avatar avatar-sm"
+                />
+                <p className="text-sm text-gray-900 bg-gray-100 rounded-lg px-3 py-2">
+                  <span className="font-semibold">{comment.user.firstName} {comment.user.lastName}</span>{' '}
+                  <RichText text={comment.content} mentions={comment.mentions} />
+                </p>
+              </div>
+            ))}
+            {commentCount > post.recentComments.length && (
+              <button
+                onClick={() => setShowComments(true)}
+                className="text-sm text-blue-600 hover:text-blue-700"
+              >
+                View all {commentCount} comments
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Comments */}
         {showComments && (
           <div className="border-t border-gray-200 pt-4">
@@ -207,31 +499,54 @@ function PostCard({ post, currentUser, onLike, onComment }) {
               </div>
             </form>
 
-            <div className="space-y-3">
-              {post.comments.map((comment) => (
-                <div key={comment._id} className="flex space-x-3">
-                  <img
-                    src={comment.user.profilePicture || `https://ui-avatars.com/api/?name=${comment.user.firstName}+${comment.user.lastName}&background=818cf8&color=ffffff`}
-                    alt={comment.user.firstName}
-                    className="avatar avatar-sm"
+            {commentsLoading ? (
+              <div className="loading">
+                <div className="spinner"></div>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {comments.map((comment) => (
+                  <CommentItem
+                    key={comment._id}
+                    comment={comment}
+                    postAuthorId={post.author._id}
+                    currentUser={currentUser}
+                    onReply={(parentId, content) => addCommentMutation.mutate({ content, parentId })}
+                    onEdit={(commentId, content) => editCommentMutation.mutate({ commentId, content })}
+                    onDelete={(commentId) => deleteCommentMutation.mutate(commentId)}
+                    onReport={(commentId) => setReportTarget({ targetType: 'comment', targetId: commentId, postId: post._id })}
                   />
-                  <div className="flex-1">
-                    <div className="bg-gray-100 rounded-lg px-3 py-2">
-                      <h4 className="font-semibold text-sm text-gray-900">
-                        {comment.user.firstName} {comment.user.lastName}
-                      </h4>
-                      <p className="text-sm text-gray-700">{comment.content}</p>
-                    </div>
-                    <p className="text-xs text-gray-500 mt-1">
-                      {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
-                    </p>
-                  </div>
-                </div>
-              ))}
-            </div>
+                ))}
+                {hasNextPage && (
+                  <button
+                    onClick={() => fetchNextPage()}
+                    disabled={isFetchingNextPage}
+                    className="text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                  >
+                    {isFetchingNextPage ? 'Loading...' : 'View more comments'}
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         )}
       </div>
+
+      {reportTarget && (
+        <ReportModal {...reportTarget} onClose={() => setReportTarget(null)} />
+      )}
+
+      {showShare && (
+        <SharePostModal post={shareTarget} onClose={() => setShowShare(false)} />
+      )}
+
+      {showEdit && (
+        <EditPostModal post={post} onClose={() => setShowEdit(false)} />
+      )}
+
+      {showRevisions && (
+        <PostRevisionsModal post={post} onClose={() => setShowRevisions(false)} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,80 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { X } from 'lucide-react';
+import { postsAPI } from '../utils/api';
+
+// e.g. "2 photos, 1 video"; removed media itself is no longer stored
+const describeMedia = ({ imageCount, videoCount }) => [
+  imageCount > 0 && `${imageCount} ${imageCount === 1 ? 'photo' : 'photos'}`,
+  videoCount > 0 && `${videoCount} ${videoCount === 1 ? 'video' : 'videos'}`
+].filter(Boolean).join(', ');
+
+function RevisionEntry({ label, revision }) {
+  const media = describeMedia(revision);
+
+  return (
+    <div className="border-b border-gray-200 pb-3">
+      <p className="text-sm text-gray-500 mb-1">
+        {label} · {formatDistanceToNow(new Date(revision.createdAt), { addSuffix: true })}
+      </p>
+      {revision.content ? (
+        <p className="text-gray-900 whitespace-pre-wrap">{revision.content}</p>
+      ) : (
+        <p className="text-sm text-gray-500">No text</p>
+      )}
+      {media && <p className="text-sm text-gray-500 mt-1">{media}</p>}
+    </div>
+  );
+}
+
+function PostRevisionsModal({ post, onClose }) {
+  const { data, isLoading } = useQuery(
+    ['postRevisions', post._id],
+    () => postsAPI.getRevisions(post._id)
+  );
+
+  const revisions = data?.data?.revisions || [];
+  const current = {
+    content: post.content,
+    imageCount: post.images?.length || 0,
+    videoCount: post.videos?.length || 0,
+    createdAt: post.editedAt || post.createdAt
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="card max-w-lg w-full max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="card-header flex items-center justify-between">
+          <h2 className="text-xl font-semibold">Edit history</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-100"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="card-body space-y-4 overflow-y-auto">
+          <RevisionEntry label="Current" revision={current} />
+          {isLoading ? (
+            <div className="loading">
+              <div className="spinner"></div>
+            </div>
+          ) : (
+            revisions.map((revision, index) => (
+              <RevisionEntry
+                key={revision._id}
+                label={index === revisions.length - 1 ? 'Original' : 'Edited'}
+                revision={revision}
+              />
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PostRevisionsModal;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { X } from 'lucide-react';
+import { postsAPI } from '../utils/api';
+import { REACTIONS, getReaction } from '../utils/reactions';
+
+function ReactionBreakdown({ postId, reactionCounts, onClose }) {
+  const [activeType, setActiveType] = useState(null);
+
+  const { data: reactionsData, isLoading } = useQuery(
+    ['reactions', postId, activeType],
+    () => postsAPI.getReactions(postId, activeType)
+  );
+
+  const reactions = reactionsData?.data?.reactions || [];
+  const total = Object.values(reactionCounts).reduce((sum, count) => sum + count, 0);
+  const tabs = REACTIONS.filter(reaction => reactionCounts[reaction.type] > 0);
+
+  return (
+    <div className="absolute left-0 bottom-full mb-2 w-72 bg-white rounded-lg shadow-lg z-20">
+      <div className="flex items-center justify-between border-b border-gray-200 px-3 py-2">
+        <div className="flex items-center space-x-2 text-sm">
+          <button
+            onClick={() => setActiveType(null)}
+            className={`px-2 py-1 rounded ${activeType === null ? 'text-blue-600 bg-blue-50' : 'text-gray-600'}`}
+          >
+            All {total}
+          </button>
+          {tabs.map((reaction) => (
+            <button
+              key={reaction.type}
+              onClick={() => setActiveType(reaction.type)}
+              title={reaction.label}
+              className={`px-2 py-1 rounded ${activeType === reaction.type ? 'text-blue-600 bg-blue-50' : 'text-gray-600'}`}
+            >
+              {reaction.emoji} {reactionCounts[reaction.type]}
+            </button>
+          ))}
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="max-h-64 overflow-y-auto p-2">
+        {isLoading ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : reactions.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No reactions yet</p>
+        ) : (
+          reactions.map((reaction) => (
+            <div key={reaction._id} className="flex items-center justify-between px-2 py-1">
+              <div className="flex items-center space-x-2">
+                <img
+                  src={reaction.user.profilePicture || `https://ui-avatars.com/api/?name=${reaction.user.firstName}+${reaction.user.lastName}&background=818cf8&color=ffffff`}
+                  alt={reaction.user.firstName}
+                  className="avatar avatar-sm"
+                />
+                <span className="text-sm text-gray-900">
+                  {reaction.user.firstName} {reaction.user.lastName}
+                </span>
+              </div>
+              <span>{getReaction(reaction.type)?.emoji}</span>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReactionBreakdown;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import { X } from 'lucide-react';
+import { reportsAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'hate_speech', label: 'Hate speech' },
+  { value: 'nudity', label: 'Nudity or sexual content' },
+  { value: 'violence', label: 'Violence or threats' },
+  { value: 'misinformation', label: 'False information' },
+  { value: 'other', label: 'Something else' },
+];
+
+const TARGET_LABELS = {
+  post: 'post',
+  comment: 'comment',
+  message: 'message',
+  user: 'profile',
+};
+
+// Report a post, comment, message or profile. `postId` is needed for comments.
+function ReportModal({ targetType, targetId, postId, onClose }) {
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+
+  const reportMutation = useMutation(
+    () => reportsAPI.createReport({ targetType, targetId, postId, reason, details }),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        onClose();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to send report');
+      }
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!reason) {
+      toast.error('Choose a reason');
+      return;
+    }
+    reportMutation.mutate();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="card max-w-md w-full">
+        {/* Modal Header */}
+        <div className="card-header flex items-center justify-between">
+          <h2 className="text-xl font-semibold">Report {TARGET_LABELS[targetType]}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-100"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="card-body space-y-4">
+          <p className="text-sm text-gray-600">
+            Why are you reporting this? The person won't know who reported them.
+          </p>
+          <div className="space-y-2">
+            {REPORT_REASONS.map(option => (
+              <label key={option.value} className="flex items-center space-x-2 text-sm text-gray-900">
+                <input
+                  type="radio"
+                  name="reason"
+                  value={option.value}
+                  checked={reason === option.value}
+                  onChange={(e) => setReason(e.target.value)}
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
+          </div>
+          <textarea
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            placeholder="Anything else moderators should know? (optional)"
+            maxLength={1000}
+            rows={3}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={onClose} className="btn btn-outline btn-sm">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={reportMutation.isLoading}
+              className="btn btn-danger btn-sm"
+            >
+              Send report
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default ReportModal;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { splitRichText } from '../utils/textEntities';
+
+// Post or comment text with hashtags and mentions as links; the caller
+// supplies the surrounding element
+function RichText({ text, mentions }) {
+  return (
+    <>
+      {splitRichText(text, mentions).map((segment, index) => {
+        if (segment.type === 'hashtag') {
+          return (
+            <Link key={index} to={`/hashtags/${encodeURIComponent(segment.tag)}`} className="text-blue-600 hover:underline">
+              {segment.text}
+            </Link>
+          );
+        }
+        if (segment.type === 'mention') {
+          return (
+            <Link key={index} to={`/profile/${segment.user._id}`} className="text-blue-600 font-medium hover:underline">
+              {segment.text}
+            </Link>
+          );
+        }
+        return <React.Fragment key={index}>{segment.text}</React.Fragment>;
+      })}
+    </>
+  );
+}
+
+export default RichText;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { X } from 'lucide-react';
+import { postsAPI } from '../utils/api';
+import SharedPostPreview from './SharedPostPreview';
+import MentionTextarea from './MentionTextarea';
+import AudiencePicker, { LIST_PRIVACIES } from './AudiencePicker';
+import toast from 'react-hot-toast';
+
+// Share `post` (the original, not a share of it) with optional commentary
+function SharePostModal({ post, onClose }) {
+  const queryClient = useQueryClient();
+  const [content, setContent] = useState('');
+  const [audience, setAudience] = useState({ privacy: 'friends', audienceList: '' });
+
+  const shareMutation = useMutation(
+    () => postsAPI.sharePost(post._id, {
+      content,
+      privacy: audience.privacy,
+      audienceList: LIST_PRIVACIES.includes(audience.privacy) ? audience.audienceList : undefined
+    }),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries('feed');
+        queryClient.invalidateQueries('userPosts');
+        onClose();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to share post');
+      }
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (LIST_PRIVACIES.includes(audience.privacy) && !audience.audienceList) {
+      toast.error('Choose an audience list');
+      return;
+    }
+    shareMutation.mutate();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="card max-w-lg w-full">
+        {/* Modal Header */}
+        <div className="card-header flex items-center justify-between">
+          <h2 className="text-xl font-semibold">Share post</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-100"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="card-body space-y-4">
+          <MentionTextarea
+            value={content}
+            onChange={setContent}
+            placeholder="Say something about this (optional)"
+            maxLength={2000}
+            rows={3}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+          <SharedPostPreview post={post} />
+          {post.privacy === 'friends' && (
+            <p className="text-sm text-gray-500">
+              Only {post.author.firstName}'s friends will see the original post in your share.
+            </p>
+          )}
+          <div className="flex items-center justify-between">
+            <AudiencePicker value={audience} onChange={setAudience} />
+            <div className="flex space-x-2">
+              <button type="button" onClick={onClose} className="btn btn-outline btn-sm">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={shareMutation.isLoading}
+                className="btn btn-primary btn-sm"
+              >
+                Share
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default SharePostModal;
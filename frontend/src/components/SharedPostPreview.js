@@ -0,0 +1,52 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import RichText from './RichText';
+
+// The original post inside a share. `post` is null when the original was
+// deleted or the viewer is not allowed to see it.
+function SharedPostPreview({ post }) {
+  if (!post) {
+    return (
+      <div className="border border-gray-200 rounded-lg px-4 py-6 text-center">
+        <p className="font-medium text-gray-900">This content isn't available</p>
+        <p className="text-sm text-gray-500">It was deleted, or only some people can see it.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg overflow-hidden">
+      {post.images?.length > 0 && (
+        <img src={post.images[0].url} alt="" className="w-full h-64 object-cover" />
+      )}
+      {!post.images?.length && post.videos?.length > 0 && (
+        <video src={post.videos[0].url} controls className="w-full h-64" />
+      )}
+      <div className="p-4">
+        <div className="flex items-center space-x-2 mb-2">
+          <img
+            src={post.author.profilePicture || `https://ui-avatars.com/api/?name=${post.author.firstName}+${post.author.lastName}&background=818cf8&color=ffffff`}
+            alt={post.author.firstName}
+            className="avatar avatar-sm"
+          />
+          <div>
+            <Link to={`/profile/${post.author._id}`} className="text-sm font-semibold text-gray-900 hover:underline">
+              {post.author.firstName} {post.author.lastName}
+            </Link>
+            <p className="text-xs text-gray-500">
+              {formatDistanceToNow(new Date(post.createdAt), { addSuffix: true })}
+            </p>
+          </div>
+        </div>
+        {post.content && (
+          <p className="text-gray-900 whitespace-pre-wrap">
+            <RichText text={post.content} mentions={post.mentions} />
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SharedPostPreview;
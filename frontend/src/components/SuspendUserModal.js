@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import { X } from 'lucide-react';
+import { moderationAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+// Moderator form to suspend a user for a number of days or permanently
+function SuspendUserModal({ user, onClose, onSuspended }) {
+  const [durationDays, setDurationDays] = useState(7);
+  const [permanent, setPermanent] = useState(false);
+  const [reason, setReason] = useState('');
+
+  const suspendMutation = useMutation(
+    () => moderationAPI.suspendUser(user._id, {
+      reason,
+      ...(permanent ? { permanent: true } : { durationDays: parseInt(durationDays) })
+    }),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        onSuspended();
+        onClose();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to suspend user');
+      }
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!reason.trim()) {
+      toast.error('Give a reason');
+      return;
+    }
+    suspendMutation.mutate();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="card max-w-md w-full">
+        {/* Modal Header */}
+        <div className="card-header flex items-center justify-between">
+          <h2 className="text-xl font-semibold">Suspend {user.firstName} {user.lastName}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-100"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="card-body space-y-4">
+          <p className="text-sm text-gray-600">
+            They will be signed out everywhere and their posts will leave their friends' feeds. The reason is shown to them.
+          </p>
+          <label className="flex items-center space-x-2 text-sm text-gray-900">
+            <input
+              type="checkbox"
+              checked={permanent}
+              onChange={(e) => setPermanent(e.target.checked)}
+            />
+            <span>Suspend permanently</span>
+          </label>
+          {!permanent && (
+            <label className="flex items-center space-x-2 text-sm text-gray-900">
+              <span>Suspend for</span>
+              <input
+                type="number"
+                min={1}
+                max={365}
+                value={durationDays}
+                onChange={(e) => setDurationDays(e.target.value)}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+              />
+              <span>days</span>
+            </label>
+          )}
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason"
+            maxLength={500}
+            rows={3}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={onClose} className="btn btn-outline btn-sm">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={suspendMutation.isLoading}
+              className="btn btn-danger btn-sm"
+            >
+              Suspend
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default SuspendUserModal;
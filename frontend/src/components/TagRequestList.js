@@ -0,0 +1,61 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { postsAPI } from '../utils/api';
+import PostCard from './PostCard';
+import toast from 'react-hot-toast';
+
+// Posts by non-friends waiting for the current user to approve their tag
+function TagRequestList({ currentUser }) {
+  const queryClient = useQueryClient();
+
+  const { data } = useQuery('tagRequests', postsAPI.getTagRequests);
+
+  const onSuccess = (response) => {
+    toast.success(response.data.message);
+    queryClient.invalidateQueries('tagRequests');
+    queryClient.invalidateQueries('taggedPosts');
+  };
+  const onError = (error) => {
+    toast.error(error.response?.data?.message || 'Failed to update tag');
+  };
+
+  const approveMutation = useMutation((postId) => postsAPI.approveTag(postId), { onSuccess, onError });
+  const declineMutation = useMutation((postId) => postsAPI.removeTag(postId), { onSuccess, onError });
+
+  const posts = data?.data?.posts || [];
+  if (posts.length === 0) return null;
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-lg font-semibold text-gray-900">Tag requests</h3>
+      {posts.map((post) => (
+        <div key={post._id} className="space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-600">
+              {post.author.firstName} {post.author.lastName} wants to tag you in this post
+            </p>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => approveMutation.mutate(post._id)}
+                disabled={approveMutation.isLoading || declineMutation.isLoading}
+                className="btn btn-primary btn-sm"
+              >
+                Approve
+              </button>
+              <button
+                onClick={() => declineMutation.mutate(post._id)}
+                disabled={approveMutation.isLoading || declineMutation.isLoading}
+                className="btn btn-outline btn-sm"
+              >
+                Decline
+              </button>
+            </div>
+          </div>
+          <PostCard post={post} currentUser={currentUser} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default TagRequestList;
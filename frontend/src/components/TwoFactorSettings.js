@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import { ShieldCheck } from 'lucide-react';
+import { authAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500';
+
+function TwoFactorSettings() {
+  const { user, updateUser } = useAuth();
+  const [setupData, setSetupData] = useState(null);
+  const [confirmCode, setConfirmCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disableData, setDisableData] = useState({
+    password: '',
+    code: '',
+  });
+
+  const setupMutation = useMutation(
+    () => authAPI.setupTwoFactor(),
+    {
+      onSuccess: (response) => {
+        setSetupData(response.data);
+        setConfirmCode('');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+      }
+    }
+  );
+
+  const confirmMutation = useMutation(
+    (code) => authAPI.confirmTwoFactor(code),
+    {
+      onSuccess: (response) => {
+        toast.success('Two-factor authentication enabled');
+        setSetupData(null);
+        setRecoveryCodes(response.data.recoveryCodes);
+        updateUser({ ...user, twoFactorEnabled: true });
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+      }
+    }
+  );
+
+  const disableMutation = useMutation(
+    ({ password, code }) => {
+      // Recovery codes contain a dash; authenticator codes are digits only
+      const secondFactor = code.includes('-') ? { recoveryCode: code } : { code };
+      return authAPI.disableTwoFactor({ password, ...secondFactor });
+    },
+    {
+      onSuccess: () => {
+        toast.success('Two-factor authentication disabled');
+        setDisableData({ password: '', code: '' });
+        updateUser({ ...user, twoFactorEnabled: false });
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+      }
+    }
+  );
+
+  const handleDisableChange = (e) => {
+    const { name, value } = e.target;
+    setDisableData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleConfirmSubmit = (e) => {
+    e.preventDefault();
+    confirmMutation.mutate(confirmCode);
+  };
+
+  const handleDisableSubmit = (e) => {
+    e.preventDefault();
+    disableMutation.mutate(disableData);
+  };
+
+  return (
+    <div className="card mb-6">
+      <div className="card-body space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Two-factor authentication</h2>
+            <p className="text-sm text-gray-600">
+              Ask for a code from an authenticator app when signing in
+            </p>
+          </div>
+          {user?.twoFactorEnabled ? (
+            <span className="flex items-center text-sm text-green-600">
+              <ShieldCheck className="w-4 h-4 mr-1" />
+              On
+            </span>
+          ) : !setupData && (
+            <button
+              onClick={() => setupMutation.mutate()}
+              disabled={setupMutation.isLoading}
+              className="btn btn-outline btn-sm"
+            >
+              Set up
+            </button>
+          )}
+        </div>
+
+        {/* Enrollment */}
+        {setupData && (
+          <form onSubmit={handleConfirmSubmit} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Add SnapTalk to your authenticator app with{' '}
+              <a href={setupData.otpauthUrl} className="text-blue-600 hover:text-blue-500">
+                this link
+              </a>
+              {' '}or by entering the key below, then type the code it shows.
+            </p>
+            <p className="font-mono text-sm text-gray-900 bg-gray-100 rounded-md px-3 py-2 break-all">
+              {setupData.secret}
+            </p>
+            <input
+              type="text"
+              value={confirmCode}
+              onChange={(e) => setConfirmCode(e.target.value)}
+              placeholder="6-digit code"
+              autoComplete="one-time-code"
+              inputMode="numeric"
+              className={inputClassName}
+              required
+            />
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={confirmMutation.isLoading}
+                className="btn btn-primary btn-sm"
+              >
+                Turn on
+              </button>
+              <button
+                type="button"
+                onClick={() => setSetupData(null)}
+                className="btn btn-outline btn-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Recovery codes, shown once right after enabling */}
+        {recoveryCodes && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Save these recovery codes somewhere safe. Each one signs you in once if you lose
+              your authenticator. They won't be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 bg-gray-100 rounded-md px-3 py-2">
+              {recoveryCodes.map(code => (
+                <span key={code}>{code}</span>
+              ))}
+            </div>
+            <button
+              onClick={() => setRecoveryCodes(null)}
+              className="btn btn-primary btn-sm"
+            >
+              I've saved them
+            </button>
+          </div>
+        )}
+
+        {/* Disable */}
+        {user?.twoFactorEnabled && !recoveryCodes && (
+          <form onSubmit={handleDisableSubmit} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              To turn it off, enter your password and a code from your app or a recovery code.
+            </p>
+            <input
+              type="password"
+              name="password"
+              value={disableData.password}
+              onChange={handleDisableChange}
+              placeholder="Password"
+              autoComplete="current-password"
+              className={inputClassName}
+              required
+            />
+            <input
+              type="text"
+              name="code"
+              value={disableData.code}
+              onChange={handleDisableChange}
+              placeholder="Authentication or recovery code"
+              autoComplete="one-time-code"
+              className={inputClassName}
+              required
+            />
+            <button
+              type="submit"
+              disabled={disableMutation.isLoading}
+              className="btn btn-danger btn-sm"
+            >
+              Turn off two-factor authentication
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
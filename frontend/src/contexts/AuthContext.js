@@ -30,6 +30,7 @@ export function AuthProvider({ children }) {
         })
         .catch(() => {
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           localStorage.removeItem('user');
           setUser(null);
         })
@@ -39,14 +40,27 @@ export function AuthProvider({ children }) {
     }
   }, []);
 
+  const startSession = ({ token, refreshToken, user: userData }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(userData));
+    setUser(userData);
+  };
+
   const login = async (credentials) => {
     try {
       const response = await authAPI.login(credentials);
-      const { token, user: userData } = response.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(userData));
-      setUser(userData);
+
+      // Accounts with 2FA need a second step before any token is issued
+      if (response.data.twoFactorRequired) {
+        return {
+          success: true,
+          twoFactorRequired: true,
+          twoFactorToken: response.data.twoFactorToken
+        };
+      }
+
+      startSession(response.data);
       
       toast.success('Login successful!');
       return { success: true };
@@ -57,16 +71,31 @@ export function AuthProvider({ children }) {
     }
   };
 
+  const completeTwoFactorLogin = async (data) => {
+    try {
+      const response = await authAPI.loginTwoFactor(data);
+      startSession(response.data);
+
+      toast.success('Login successful!');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Login failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   const register = async (userData) => {
     try {
       const response = await authAPI.register(userData);
-      const { token, user: newUser } = response.data;
+      const { token, refreshToken, user: newUser } = response.data;
       
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(newUser));
       setUser(newUser);
       
-      toast.success('Registration successful!');
+      toast.success('Registration successful! Check your email to verify your address.');
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || 'Registration failed';
@@ -75,15 +104,21 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Forget the local session without calling the server
+  const clearAuth = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    setUser(null);
+  };
+
   const logout = async () => {
     try {
       await authAPI.logout();
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      setUser(null);
+      clearAuth();
       toast.success('Logged out successfully');
     }
   };
@@ -97,8 +132,10 @@ export function AuthProvider({ children }) {
     user,
     loading,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
+    clearAuth,
     updateUser,
   };
 
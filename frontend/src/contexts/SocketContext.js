@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import io from 'socket.io-client';
 import { useAuth } from './AuthContext';
+import { refreshAccessToken } from '../utils/api';
 
 const SocketContext = createContext();
 
@@ -15,32 +16,52 @@ export function useSocket() {
 export function SocketProvider({ children }) {
   const { user } = useAuth();
   const [socket, setSocket] = useState(null);
+  // userId -> boolean, as reported live by the server
   const [onlineUsers, setOnlineUsers] = useState(new Map());
 
   useEffect(() => {
     if (user) {
-      const newSocket = io(process.env.REACT_APP_SERVER_URL || 'http://localhost:5001');
-      
-      newSocket.emit('join', user.id);
-      
+      // The server derives our identity and rooms from this token; it is
+      // read on every (re)connect so a refreshed token is picked up
+      const newSocket = io(process.env.REACT_APP_SERVER_URL || 'http://localhost:5001', {
+        auth: (cb) => cb({ token: localStorage.getItem('token') }),
+      });
+
       newSocket.on('connect', () => {
         console.log('Connected to server');
       });
 
+      newSocket.on('connect_error', (error) => {
+        console.error('Socket connection error:', error.message);
+        // A suspended account stays rejected however fresh the token
+        if (error.data?.suspension) return;
+        // The handshake was rejected, most likely for an expired access
+        // token; retry once we hold a fresh one
+        if (!newSocket.active) {
+          refreshAccessToken()
+            .then(() => newSocket.connect())
+            .catch(() => {});
+        }
+      });
+
       newSocket.on('disconnect', () => {
         console.log('Disconnected from server');
       });
 
+      newSocket.on('onlineFriends', (userIds) => {
+        setOnlineUsers(prev => {
+          const updated = new Map(prev);
+          userIds.forEach(userId => updated.set(userId, true));
+          return updated;
+        });
+      });
+
       newSocket.on('userOnline', (userId) => {
         setOnlineUsers(prev => new Map(prev).set(userId, true));
       });
 
       newSocket.on('userOffline', (userId) => {
-        setOnlineUsers(prev => {
-          const updated = new Map(prev);
-          updated.delete(userId);
-          return updated;
-        });
+        setOnlineUsers(prev => new Map(prev).set(userId, false));
       });
 
       setSocket(newSocket);
@@ -48,6 +69,7 @@ export function SocketProvider({ children }) {
       return () => {
         newSocket.close();
         setSocket(null);
+        setOnlineUsers(new Map());
       };
     }
   }, [user]);
@@ -58,9 +80,15 @@ export function SocketProvider({ children }) {
     }
   };
 
+  // Prefer live presence; fall back to the value loaded from the API
+  const isUserOnline = (userId, fallback = false) => (
+    onlineUsers.has(userId) ? onlineUsers.get(userId) : !!fallback
+  );
+
   const value = {
     socket,
     onlineUsers,
+    isUserOnline,
     sendMessage,
   };
 
@@ -2,10 +2,12 @@ import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { Users, UserPlus, UserMinus, Check, X } from 'lucide-react';
 import { friendsAPI, usersAPI } from '../utils/api';
+import { useSocket } from '../contexts/SocketContext';
 import toast from 'react-hot-toast';
 
 function Friends() {
   const queryClient = useQueryClient();
+  const { isUserOnline } = useSocket();
   const [activeTab, setActiveTab] = useState('friends');
 
   const { data: friendsData, isLoading: friendsLoading } = useQuery(
@@ -168,9 +170,9 @@ function Friends() {
                           <p className="text-sm text-gray-600 truncate">{friend.bio}</p>
                         )}
                         <div className="flex items-center mt-1">
-                          <div className={`w-2 h-2 rounded-full mr-2 ${friend.isOnline ? 'bg-green-500' : 'bg-gray-400'}`}></div>
+                          <div className={`w-2 h-2 rounded-full mr-2 ${isUserOnline(friend._id, friend.isOnline) ? 'bg-green-500' : 'bg-gray-400'}`}></div>
                           <span className="text-xs text-gray-500">
-                            {friend.isOnline ? 'Online' : 'Offline'}
+                            {isUserOnline(friend._id, friend.isOnline) ? 'Online' : 'Offline'}
                           </span>
                         </div>
                       </div>
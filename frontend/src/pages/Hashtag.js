@@ -0,0 +1,81 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import { useInfiniteQuery } from 'react-query';
+import InfiniteScroll from 'react-infinite-scroll-component';
+import { Hash } from 'lucide-react';
+import { hashtagsAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import PostCard from '../components/PostCard';
+
+function Hashtag() {
+  const { tag } = useParams();
+  const { user } = useAuth();
+
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage
+  } = useInfiniteQuery(
+    ['hashtag', tag],
+    ({ pageParam }) => hashtagsAPI.getPosts(tag, pageParam),
+    {
+      getNextPageParam: (lastPage) => lastPage.data.nextCursor || undefined,
+    }
+  );
+
+  const posts = data?.pages.flatMap(page => page.data.posts) || [];
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="card">
+        <div className="card-body flex items-center space-x-3">
+          <Hash className="w-8 h-8 text-blue-600" />
+          <h1 className="text-2xl font-bold text-gray-900">{tag.toLowerCase()}</h1>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : error ? (
+        <div className="text-center py-8">
+          <p className="text-red-600">{error.response?.data?.message || 'Something went wrong'}</p>
+        </div>
+      ) : posts.length === 0 ? (
+        <div className="text-center py-8">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            No posts yet
+          </h3>
+          <p className="text-gray-600">
+            Posts you can see that use #{tag.toLowerCase()} will show up here.
+          </p>
+        </div>
+      ) : (
+        <InfiniteScroll
+          dataLength={posts.length}
+          next={fetchNextPage}
+          hasMore={!!hasNextPage}
+          loader={
+            <div className="loading">
+              <div className="spinner"></div>
+            </div>
+          }
+          className="space-y-6"
+        >
+          {posts.map((post) => (
+            <PostCard
+              key={post._id}
+              post={post}
+              currentUser={user}
+            />
+          ))}
+        </InfiniteScroll>
+      )}
+    </div>
+  );
+}
+
+export default Hashtag;
@@ -1,179 +1,149 @@
 import React, { useState } from 'react';
-import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useInfiniteQuery, useQuery, useQueryClient } from 'react-query';
+import InfiniteScroll from 'react-infinite-scroll-component';
+import { ArrowUp } from 'lucide-react';
 import { postsAPI } from '../utils/api';
 import { useAuth } from '../contexts/AuthContext';
 import PostCard from '../components/PostCard';
 import CreatePost from '../components/CreatePost';
-import toast from 'react-hot-toast';
+
+// How often to check for posts newer than the top of the feed
+const NEW_POSTS_POLL_MS = 30 * 1000;
+
+const FEED_MODES = [
+  { id: 'latest', name: 'Latest' },
+  { id: 'top', name: 'Top' },
+];
 
 function Home() {
   const { user } = useAuth();
   const queryClient = useQueryClient();
-  const [page, setPage] = useState(1);
+  const [mode, setMode] = useState(() => localStorage.getItem('feedMode') || 'latest');
 
   const {
     data: feedData,
     isLoading,
     error,
-    refetch
-  } = useQuery(
-    ['feed', page],
-    () => postsAPI.getFeed(page),
+    refetch,
+    fetchNextPage,
+    hasNextPage
+  } = useInfiniteQuery(
+    ['feed', mode],
+    ({ pageParam }) => postsAPI.getFeed(pageParam, mode),
     {
-      keepPreviousData: true,
+      getNextPageParam: (lastPage) => lastPage.data.nextCursor || undefined,
     }
   );
 
-  const likePostMutation = useMutation(
-    (postId) => postsAPI.likePost(postId),
-    {
-      onSuccess: (data, postId) => {
-        // Update the post in the cache
-        queryClient.setQueryData(['feed', page], (oldData) => {
-          if (!oldData) return oldData;
-          
-          return {
-            ...oldData,
-            data: {
-              ...oldData.data,
-              posts: oldData.data.posts.map(post =>
-                post._id === postId
-                  ? {
-                      ...post,
-                      likes: data.data.likes,
-                      likeCount: data.data.likeCount
-                    }
-                  : post
-              )
-            }
-          };
-        });
-      },
-      onError: (error) => {
-        toast.error(error.response?.data?.message || 'Failed to like post');
-      }
-    }
-  );
+  // Only the latest feed has a top to add new posts to
+  const newestCursor = mode === 'latest' ? feedData?.pages[0]?.data.newestCursor : undefined;
 
-  const commentPostMutation = useMutation(
-    ({ postId, content }) => postsAPI.commentPost(postId, content),
+  const { data: newPostsData } = useQuery(
+    ['feedNewCount', newestCursor],
+    () => postsAPI.getNewFeedCount(newestCursor),
     {
-      onSuccess: (data, { postId }) => {
-        // Update the post in the cache
-        queryClient.setQueryData(['feed', page], (oldData) => {
-          if (!oldData) return oldData;
-          
-          return {
-            ...oldData,
-            data: {
-              ...oldData.data,
-              posts: oldData.data.posts.map(post =>
-                post._id === postId
-                  ? {
-                      ...post,
-                      comments: [...post.comments, data.data.comment],
-                      commentCount: data.data.commentCount
-                    }
-                  : post
-              )
-            }
-          };
-        });
-      },
-      onError: (error) => {
-        toast.error(error.response?.data?.message || 'Failed to add comment');
-      }
+      enabled: !!newestCursor,
+      refetchInterval: NEW_POSTS_POLL_MS,
     }
   );
 
-  const handleLike = (postId) => {
-    likePostMutation.mutate(postId);
+  const handleModeChange = (newMode) => {
+    localStorage.setItem('feedMode', newMode);
+    setMode(newMode);
   };
 
-  const handleComment = (postId, content) => {
-    if (!content.trim()) return;
-    commentPostMutation.mutate({ postId, content });
+  // Start over from the first page; refetching every loaded page would
+  // leave a gap where new posts pushed older ones onto the next page
+  const showLatest = () => {
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+    queryClient.resetQueries('feed');
   };
 
-  const handlePostCreated = () => {
-    refetch();
-  };
-
-  if (isLoading && page === 1) {
-    return (
-      <div className="loading">
-        <div className="spinner"></div>
-      </div>
-    );
-  }
-
-  if (error) {
-    return (
-      <div className="text-center py-8">
-        <p className="text-red-600">Error loading feed: {error.response?.data?.message || 'Something went wrong'}</p>
-        <button
-          onClick={() => refetch()}
-          className="btn btn-primary mt-4"
-        >
-          Try Again
-        </button>
-      </div>
-    );
-  }
-
-  const posts = feedData?.data?.posts || [];
-  const pagination = feedData?.data?.pagination;
+  // A refetch ranks the first Top page afresh while later pages keep their
+  // old ranking, so the same post can come back twice
+  const posts = [...new Map(
+    (feedData?.pages.flatMap(page => page.data.posts) || []).map(post => [post._id, post])
+  ).values()];
+  const newPostsCount = newPostsData?.data?.count || 0;
 
   return (
     <div className="max-w-4xl mx-auto space-y-6">
       {/* Create Post */}
-      <CreatePost onPostCreated={handlePostCreated} />
+      <CreatePost onPostCreated={showLatest} />
 
-      {/* Posts Feed */}
-      <div className="space-y-6">
-        {posts.length === 0 ? (
-          <div className="text-center py-8">
-            <h3 className="text-lg font-medium text-gray-900 mb-2">
-              No posts to show
-            </h3>
-            <p className="text-gray-600">
-              Start by creating your first post or adding some friends to see their posts here.
-            </p>
-          </div>
-        ) : (
-          posts.map((post) => (
-            <PostCard
-              key={post._id}
-              post={post}
-              currentUser={user}
-              onLike={handleLike}
-              onComment={handleComment}
-            />
-          ))
-        )}
+      {/* Feed mode */}
+      <div className="flex space-x-2">
+        {FEED_MODES.map((feedMode) => (
+          <button
+            key={feedMode.id}
+            onClick={() => handleModeChange(feedMode.id)}
+            className={`btn btn-sm ${mode === feedMode.id ? 'btn-primary' : 'btn-outline'}`}
+          >
+            {feedMode.name}
+          </button>
+        ))}
       </div>
 
-      {/* Pagination */}
-      {pagination && pagination.pages > 1 && (
-        <div className="flex justify-center space-x-2 py-6">
+      {/* New posts banner */}
+      {newPostsCount > 0 && (
+        <div className="sticky top-20 z-10 flex justify-center">
           <button
-            onClick={() => setPage(p => Math.max(1, p - 1))}
-            disabled={page === 1}
-            className="btn btn-outline disabled:opacity-50"
+            onClick={showLatest}
+            className="btn btn-primary btn-sm rounded-full shadow-lg"
           >
-            Previous
+            <ArrowUp className="w-4 h-4 mr-2" />
+            {newPostsData.data.isCapped ? `${newPostsCount}+` : newPostsCount} new post{newPostsCount === 1 ? '' : 's'}
           </button>
-          <span className="flex items-center px-4 py-2 text-sm text-gray-700">
-            Page {pagination.current} of {pagination.pages}
-          </span>
+        </div>
+      )}
+
+      {/* Posts Feed */}
+      {isLoading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : error ? (
+        <div className="text-center py-8">
+          <p className="text-red-600">Error loading feed: {error.response?.data?.message || 'Something went wrong'}</p>
           <button
-            onClick={() => setPage(p => p + 1)}
-            disabled={page >= pagination.pages}
-            className="btn btn-outline disabled:opacity-50"
+            onClick={() => refetch()}
+            className="btn btn-primary mt-4"
           >
-            Next
+            Try Again
           </button>
         </div>
+      ) : posts.length === 0 ? (
+        <div className="text-center py-8">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            No posts to show
+          </h3>
+          <p className="text-gray-600">
+            Start by creating your first post or adding some friends to see their posts here.
+          </p>
+        </div>
+      ) : (
+        <InfiniteScroll
+          dataLength={posts.length}
+          next={fetchNextPage}
+          hasMore={!!hasNextPage}
+          loader={
+            <div className="loading">
+              <div className="spinner"></div>
+            </div>
+          }
+          endMessage={
+            <p className="text-center text-sm text-gray-500 py-6">You're all caught up</p>
+          }
+          className="space-y-6"
+        >
+          {posts.map((post) => (
+            <PostCard
+              key={post._id}
+              post={post}
+              currentUser={user}
+            />
+          ))}
+        </InfiniteScroll>
       )}
     </div>
   );
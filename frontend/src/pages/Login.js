@@ -3,13 +3,16 @@ import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
 function Login() {
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   });
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  const [twoFactorToken, setTwoFactorToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -54,9 +57,126 @@ function Login() {
 
     if (!result.success) {
       setErrors({ general: result.error });
+    } else if (result.twoFactorRequired) {
+      setErrors({});
+      setTwoFactorToken(result.twoFactorToken);
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!twoFactorCode.trim()) {
+      setErrors({ code: useRecoveryCode ? 'Recovery code is required' : 'Code is required' });
+      return;
+    }
+
+    setLoading(true);
+    const result = await completeTwoFactorLogin({
+      twoFactorToken,
+      ...(useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode })
+    });
+    setLoading(false);
+
+    if (!result.success) {
+      setErrors({ general: result.error });
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(prev => !prev);
+    setTwoFactorCode('');
+    setErrors({});
+  };
+
+  const resetLogin = () => {
+    setTwoFactorToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setErrors({});
+  };
+
+  if (twoFactorToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={handleTwoFactorSubmit}>
+            {errors.general && (
+              <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-md">
+                {errors.general}
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="twoFactorCode" className="sr-only">
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              </label>
+              <input
+                id="twoFactorCode"
+                name="twoFactorCode"
+                type="text"
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoFocus
+                className={`appearance-none relative block w-full px-3 py-2 border ${
+                  errors.code ? 'border-red-300' : 'border-gray-300'
+                } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm`}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+              />
+              {errors.code && (
+                <p className="mt-1 text-sm text-red-600">{errors.code}</p>
+              )}
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="group relative w-full flex justify-center btn btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <div className="spinner w-4 h-4 border-white"></div>
+                ) : (
+                  'Verify'
+                )}
+              </button>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <button
+                type="button"
+                onClick={toggleRecoveryCode}
+                className="text-sm font-medium text-blue-600 hover:text-blue-500"
+              >
+                {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                onClick={resetLogin}
+                className="text-sm font-medium text-gray-600 hover:text-gray-900"
+              >
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -119,6 +239,15 @@ function Login() {
             </div>
           </div>
 
+          <div className="text-right">
+            <Link
+              to="/forgot-password"
+              className="text-sm font-medium text-blue-600 hover:text-blue-500"
+            >
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
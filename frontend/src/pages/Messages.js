@@ -1,23 +1,74 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
-import { formatDistanceToNow } from 'date-fns';
-import { Send, ArrowLeft } from 'lucide-react';
-import { messagesAPI } from '../utils/api';
+import { format, formatDistanceToNow } from 'date-fns';
+import { Send, ArrowLeft, Users, LogOut, Paperclip, FileText, X } from 'lucide-react';
+import { messagesAPI, conversationsAPI } from '../utils/api';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
+import CreateGroupModal from '../components/CreateGroupModal';
+import ReportModal from '../components/ReportModal';
 import toast from 'react-hot-toast';
 
+// Matches Message.editWindowMs on the server
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Apply an update to every cached direct and group message list
+const patchCachedMessages = (queryClient, update) => {
+  ['messages', 'groupMessages'].forEach((key) => {
+    queryClient.setQueriesData(key, (oldData) => {
+      if (!oldData?.data?.messages) return oldData;
+      return {
+        ...oldData,
+        data: {
+          ...oldData.data,
+          messages: update(oldData.data.messages)
+        }
+      };
+    });
+  });
+};
+
+// Swap in a server copy, keeping the populated sender/receiver from the cache
+const replaceCachedMessage = (queryClient, updated) => {
+  patchCachedMessages(queryClient, (messages) => messages.map(msg =>
+    msg._id === updated._id ? { ...updated, sender: msg.sender, receiver: msg.receiver } : msg
+  ));
+};
+
+const removeCachedMessage = (queryClient, messageId) => {
+  patchCachedMessages(queryClient, (messages) => messages.filter(msg => msg._id !== messageId));
+};
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
 function Messages() {
-  const { userId } = useParams();
+  const { userId, groupId } = useParams();
   const navigate = useNavigate();
   const { user: currentUser } = useAuth();
-  const { socket } = useSocket();
+  const { socket, isUserOnline } = useSocket();
   const queryClient = useQueryClient();
   
   const [message, setMessage] = useState('');
   const [selectedConversation, setSelectedConversation] = useState(userId || null);
+  const [selectedGroup, setSelectedGroup] = useState(groupId || null);
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [attachment, setAttachment] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [reportMessageId, setReportMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
+  // userId -> { firstName, conversationId } for people currently typing to us
+  const [typingUsers, setTypingUsers] = useState({});
   const messagesEndRef = useRef(null);
+  const isTypingRef = useRef(false);
+  const typingTimeoutRef = useRef(null);
+  const isChatOpen = !!(selectedConversation || selectedGroup);
+  const chatTarget = selectedGroup ? { conversationId: selectedGroup } : { receiverId: selectedConversation };
 
   // Get conversations
   const { data: conversationsData, isLoading: conversationsLoading } = useQuery(
@@ -25,26 +76,118 @@ function Messages() {
     messagesAPI.getConversations
   );
 
-  // Get messages for selected conversation
+  // Get messages for selected conversation or group
   const { data: messagesData, isLoading: messagesLoading } = useQuery(
-    ['messages', selectedConversation],
-    () => messagesAPI.getMessages(selectedConversation),
+    selectedGroup ? ['groupMessages', selectedGroup] : ['messages', selectedConversation],
+    () => selectedGroup
+      ? conversationsAPI.getMessages(selectedGroup)
+      : messagesAPI.getMessages(selectedConversation),
     {
-      enabled: !!selectedConversation,
-      refetchInterval: 5000, // Refetch every 5 seconds
+      enabled: isChatOpen,
     }
   );
 
+  // Messages go over the socket so recipients get them live; HTTP is the fallback
+  const emitSendMessage = (payload) => new Promise((resolve, reject) => {
+    socket.emit('sendMessage', payload, (response) => {
+      if (response?.success) {
+        resolve(response);
+      } else {
+        reject(new Error(response?.message || 'Failed to send message'));
+      }
+    });
+  });
+
   const sendMessageMutation = useMutation(
-    (messageData) => messagesAPI.sendMessage(messageData),
+    (messageData) => socket
+      ? emitSendMessage({
+        receiverId: messageData.receiver,
+        content: messageData.content,
+        attachmentId: messageData.attachmentId
+      })
+      : messagesAPI.sendMessage(messageData),
     {
       onSuccess: () => {
         setMessage('');
+        setAttachment(null);
         queryClient.invalidateQueries(['messages', selectedConversation]);
         queryClient.invalidateQueries('conversations');
       },
       onError: (error) => {
-        toast.error(error.response?.data?.message || 'Failed to send message');
+        toast.error(error.response?.data?.message || error.message || 'Failed to send message');
+      }
+    }
+  );
+
+  // Group messages are delivered over the socket to every member's room
+  const sendGroupMessageMutation = useMutation(
+    (messageData) => socket
+      ? emitSendMessage({ conversationId: selectedGroup, ...messageData })
+      : conversationsAPI.sendMessage(selectedGroup, messageData),
+    {
+      onSuccess: () => {
+        setMessage('');
+        setAttachment(null);
+        queryClient.invalidateQueries(['groupMessages', selectedGroup]);
+        queryClient.invalidateQueries('conversations');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || error.message || 'Failed to send message');
+      }
+    }
+  );
+
+  const editMessageMutation = useMutation(
+    ({ messageId, content }) => messagesAPI.editMessage(messageId, content),
+    {
+      onSuccess: (response) => {
+        setEditingMessageId(null);
+        replaceCachedMessage(queryClient, response.data.data);
+        queryClient.invalidateQueries('conversations');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to edit message');
+      }
+    }
+  );
+
+  const unsendMessageMutation = useMutation(
+    (messageId) => messagesAPI.deleteMessage(messageId),
+    {
+      onSuccess: (response) => {
+        replaceCachedMessage(queryClient, response.data.data);
+        queryClient.invalidateQueries('conversations');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to unsend message');
+      }
+    }
+  );
+
+  const deleteForMeMutation = useMutation(
+    (messageId) => messagesAPI.deleteMessageForMe(messageId),
+    {
+      onSuccess: (response, messageId) => {
+        removeCachedMessage(queryClient, messageId);
+        queryClient.invalidateQueries('conversations');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete message');
+      }
+    }
+  );
+
+  const leaveGroupMutation = useMutation(
+    (conversationId) => conversationsAPI.leave(conversationId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('conversations');
+        setSelectedGroup(null);
+        navigate('/messages');
+        toast.success('You left the group');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to leave group');
       }
     }
   );
@@ -54,18 +197,130 @@ function Messages() {
     if (socket) {
       socket.on('receiveMessage', (newMessage) => {
         // Update messages if the conversation is active
-        if (newMessage.sender === selectedConversation || newMessage.receiver === selectedConversation) {
+        if (newMessage.conversation) {
+          if (newMessage.conversation === selectedGroup) {
+            queryClient.invalidateQueries(['groupMessages', selectedGroup]);
+          }
+        } else if (newMessage.sender?._id === selectedConversation || newMessage.receiver?._id === selectedConversation) {
           queryClient.invalidateQueries(['messages', selectedConversation]);
         }
         // Update conversations list
         queryClient.invalidateQueries('conversations');
       });
 
+      socket.on('conversationUpdated', () => {
+        queryClient.invalidateQueries('conversations');
+      });
+
       return () => {
         socket.off('receiveMessage');
+        socket.off('conversationUpdated');
       };
     }
-  }, [socket, selectedConversation, queryClient]);
+  }, [socket, selectedConversation, selectedGroup, queryClient]);
+
+  // Live read and delivery receipts for our outgoing messages
+  useEffect(() => {
+    if (!socket) return;
+
+    const updateOutgoing = (otherUserId, update) => {
+      queryClient.setQueryData(['messages', otherUserId], (oldData) => {
+        if (!oldData) return oldData;
+        return {
+          ...oldData,
+          data: {
+            ...oldData.data,
+            messages: oldData.data.messages.map(msg =>
+              msg.sender._id === currentUser.id ? update(msg) : msg
+            )
+          }
+        };
+      });
+    };
+
+    socket.on('messagesRead', ({ readerId, readAt, messageId }) => {
+      updateOutgoing(readerId, (msg) =>
+        !msg.isRead && (!messageId || msg._id === messageId)
+          ? { ...msg, isRead: true, readAt }
+          : msg
+      );
+    });
+
+    socket.on('messagesDelivered', ({ userId: receiverId, deliveredAt }) => {
+      updateOutgoing(receiverId, (msg) =>
+        msg.deliveredAt ? msg : { ...msg, deliveredAt }
+      );
+    });
+
+    return () => {
+      socket.off('messagesRead');
+      socket.off('messagesDelivered');
+    };
+  }, [socket, currentUser.id, queryClient]);
+
+  // Edits, unsends and deletes made elsewhere
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.on('messageUpdated', (updated) => {
+      replaceCachedMessage(queryClient, updated);
+      queryClient.invalidateQueries('conversations');
+    });
+
+    socket.on('messageHidden', ({ messageId }) => {
+      removeCachedMessage(queryClient, messageId);
+      queryClient.invalidateQueries('conversations');
+    });
+
+    return () => {
+      socket.off('messageUpdated');
+      socket.off('messageHidden');
+    };
+  }, [socket, queryClient]);
+
+  // Typing indicators from other people
+  useEffect(() => {
+    if (!socket) return;
+
+    const timers = {};
+    const clearTyping = (typingUserId) => {
+      clearTimeout(timers[typingUserId]);
+      setTypingUsers(prev => {
+        const updated = { ...prev };
+        delete updated[typingUserId];
+        return updated;
+      });
+    };
+
+    socket.on('typing', ({ userId: typingUserId, firstName, conversationId }) => {
+      setTypingUsers(prev => ({ ...prev, [typingUserId]: { firstName, conversationId } }));
+      // Drop the indicator if the matching stopTyping never arrives
+      clearTimeout(timers[typingUserId]);
+      timers[typingUserId] = setTimeout(() => clearTyping(typingUserId), 5000);
+    });
+
+    socket.on('stopTyping', ({ userId: typingUserId }) => clearTyping(typingUserId));
+
+    return () => {
+      socket.off('typing');
+      socket.off('stopTyping');
+      Object.values(timers).forEach(clearTimeout);
+    };
+  }, [socket]);
+
+  // Stop our own typing indicator when leaving a chat
+  useEffect(() => {
+    const typingTimeout = typingTimeoutRef;
+    const isTyping = isTypingRef;
+    const target = selectedGroup ? { conversationId: selectedGroup } : { receiverId: selectedConversation };
+    return () => {
+      clearTimeout(typingTimeout.current);
+      if (socket && isTyping.current) {
+        socket.emit('stopTyping', target);
+        isTyping.current = false;
+      }
+    };
+  }, [socket, selectedConversation, selectedGroup]);
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
@@ -74,51 +329,167 @@ function Messages() {
 
   // Set selected conversation from URL
   useEffect(() => {
-    if (userId && userId !== selectedConversation) {
-      setSelectedConversation(userId);
+    setSelectedConversation(userId || null);
+    setSelectedGroup(groupId || null);
+  }, [userId, groupId]);
+
+  const stopTyping = () => {
+    clearTimeout(typingTimeoutRef.current);
+    if (socket && isTypingRef.current) {
+      socket.emit('stopTyping', chatTarget);
+      isTypingRef.current = false;
     }
-  }, [userId, selectedConversation]);
+  };
+
+  const handleMessageChange = (e) => {
+    setMessage(e.target.value);
+    if (!socket) return;
+
+    if (!isTypingRef.current) {
+      socket.emit('typing', chatTarget);
+      isTypingRef.current = true;
+    }
+    clearTimeout(typingTimeoutRef.current);
+    typingTimeoutRef.current = setTimeout(stopTyping, 2000);
+  };
+
+  // Attachments are uploaded as soon as they are picked and sent by reference
+  const handleAttachmentChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > 10 * 1024 * 1024) {
+      toast.error('File must be smaller than 10MB');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('attachment', file);
+
+    setIsUploading(true);
+    try {
+      const response = await messagesAPI.uploadAttachment(formData);
+      setAttachment(response.data.attachment);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload attachment');
+    } finally {
+      setIsUploading(false);
+    }
+  };
 
   const handleSendMessage = (e) => {
     e.preventDefault();
-    if (!message.trim() || !selectedConversation) return;
+    if ((!message.trim() && !attachment) || isUploading) return;
+
+    stopTyping();
+
+    if (selectedGroup) {
+      sendGroupMessageMutation.mutate({
+        content: message.trim(),
+        ...(attachment && { attachmentId: attachment._id })
+      });
+      return;
+    }
+
+    if (!selectedConversation) return;
 
     const messageData = {
       receiver: selectedConversation,
       content: message.trim(),
+      ...(attachment && { attachmentId: attachment._id })
     };
 
     sendMessageMutation.mutate(messageData);
+  };
 
-    // Send via socket for real-time delivery
-    if (socket) {
-      socket.emit('sendMessage', {
-        receiverId: selectedConversation,
-        message: {
-          ...messageData,
-          sender: currentUser.id,
-          createdAt: new Date().toISOString(),
-        }
-      });
+  const handleEditStart = (msg) => {
+    setEditingMessageId(msg._id);
+    setEditText(msg.content);
+  };
+
+  const handleEditSubmit = (e, msg) => {
+    e.preventDefault();
+    if (!editText.trim() && !msg.fileUrl) return;
+    editMessageMutation.mutate({ messageId: msg._id, content: editText.trim() });
+  };
+
+  const handleUnsend = (messageId) => {
+    if (window.confirm('Unsend this message for everyone?')) {
+      unsendMessageMutation.mutate(messageId);
+    }
+  };
+
+  const handleDeleteForMe = (messageId) => {
+    if (window.confirm('Delete this message for you? Others will still see it.')) {
+      deleteForMeMutation.mutate(messageId);
+    }
+  };
+
+  const canEditMessage = (msg) => (
+    msg.sender._id === currentUser.id &&
+    !msg.isUnsent &&
+    Date.now() - new Date(msg.createdAt).getTime() <= EDIT_WINDOW_MS
+  );
+
+  const handleConversationSelect = (conversation) => {
+    if (conversation.isGroup) {
+      navigate(`/messages/group/${conversation._id}`);
+    } else {
+      navigate(`/messages/${conversation._id}`);
     }
   };
 
-  const handleConversationSelect = (conversationUserId) => {
-    setSelectedConversation(conversationUserId);
-    navigate(`/messages/${conversationUserId}`);
+  const handleLeaveGroup = () => {
+    if (window.confirm('Are you sure you want to leave this group?')) {
+      leaveGroupMutation.mutate(selectedGroup);
+    }
   };
 
   const conversations = conversationsData?.data?.conversations || [];
   const messages = messagesData?.data?.messages || [];
-  const selectedUser = conversations.find(conv => conv._id === selectedConversation)?.user;
+  const selectedUser = conversations.find(conv => !conv.isGroup && conv._id === selectedConversation)?.user;
+  const selectedGroupInfo = conversations.find(conv => conv.isGroup && conv._id === selectedGroup)?.group;
+  const isSending = sendMessageMutation.isLoading || sendGroupMessageMutation.isLoading;
+  const typingInChat = Object.entries(typingUsers)
+    .filter(([typingUserId, typing]) => selectedGroup
+      ? typing.conversationId === selectedGroup
+      : !typing.conversationId && typingUserId === selectedConversation)
+    .map(([, typing]) => typing.firstName);
+
+  const getDeliveryStatus = (msg) => {
+    if (msg.isRead) return msg.readAt ? `Seen at ${format(new Date(msg.readAt), 'p')}` : 'Seen';
+    if (msg.deliveredAt) return 'Delivered';
+    return 'Sent';
+  };
+
+  const getConversationName = (conversation) => (
+    conversation.isGroup
+      ? conversation.group.name
+      : `${conversation.user.firstName} ${conversation.user.lastName}`
+  );
+
+  const getConversationAvatar = (conversation) => (
+    conversation.isGroup
+      ? conversation.group.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(conversation.group.name)}&background=6366f1&color=fff`
+      : conversation.user.profilePicture || `https://ui-avatars.com/api/?name=${conversation.user.firstName}+${conversation.user.lastName}&background=3b82f6&color=fff`
+  );
 
   return (
     <div className="h-[calc(100vh-12rem)] max-w-6xl mx-auto bg-white rounded-lg shadow-sm overflow-hidden">
       <div className="flex h-full">
         {/* Conversations Sidebar */}
-        <div className={`w-full md:w-1/3 border-r border-gray-200 flex flex-col ${selectedConversation ? 'hidden md:flex' : 'flex'}`}>
-          <div className="p-4 border-b border-gray-200 flex-shrink-0">
+        <div className={`w-full md:w-1/3 border-r border-gray-200 flex flex-col ${isChatOpen ? 'hidden md:flex' : 'flex'}`}>
+          <div className="p-4 border-b border-gray-200 flex-shrink-0 flex items-center justify-between">
             <h2 className="text-lg font-semibold text-gray-900">Messages</h2>
+            <button
+              onClick={() => setShowCreateGroup(true)}
+              className="btn btn-outline btn-sm"
+              title="New group"
+            >
+              <Users className="w-4 h-4" />
+              New Group
+            </button>
           </div>
           
           <div className="overflow-y-auto flex-1">
@@ -138,28 +509,30 @@ function Messages() {
                 {conversations.map((conversation) => (
                   <div
                     key={conversation._id}
-                    onClick={() => handleConversationSelect(conversation._id)}
+                    onClick={() => handleConversationSelect(conversation)}
                     className={`p-4 border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${
-                      selectedConversation === conversation._id ? 'bg-blue-50 border-blue-200' : ''
+                      (conversation.isGroup ? selectedGroup : selectedConversation) === conversation._id ? 'bg-blue-50 border-blue-200' : ''
                     }`}
                   >
                     <div className="flex items-center space-x-3">
                       <div className="relative">
                         <img
-                          src={conversation.user.profilePicture || `https://ui-avatars.com/api/?name=${conversation.user.firstName}+${conversation.user.lastName}&background=3b82f6&color=fff`}
-                          alt={conversation.user.firstName}
+                          src={getConversationAvatar(conversation)}
+                          alt={getConversationName(conversation)}
                           className="avatar avatar-md"
                         />
-                        {conversation.user.isOnline && (
+                        {!conversation.isGroup && isUserOnline(conversation.user._id, conversation.user.isOnline) && (
                           <div className="absolute bottom-0 right-0 w-3 h-3 bg-green-500 rounded-full border-2 border-white"></div>
                         )}
                       </div>
                       <div className="flex-1 min-w-0">
                         <h3 className="font-semibold text-gray-900 truncate">
-                          {conversation.user.firstName} {conversation.user.lastName}
+                          {getConversationName(conversation)}
                         </h3>
                         <p className="text-sm text-gray-600 truncate">
-                          {conversation.lastMessage.content}
+                          {conversation.lastMessage.isUnsent
+                            ? 'Message unsent'
+                            : conversation.lastMessage.content || '📎 Attachment'}
                         </p>
                       </div>
                       <div className="text-right">
@@ -181,14 +554,15 @@ function Messages() {
         </div>
 
         {/* Messages Area */}
-        <div className={`flex-1 flex flex-col ${selectedConversation ? 'flex' : 'hidden md:flex'}`}>
-          {selectedConversation ? (
+        <div className={`flex-1 flex flex-col ${isChatOpen ? 'flex' : 'hidden md:flex'}`}>
+          {isChatOpen ? (
             <>
               {/* Chat Header */}
               <div className="p-4 border-b border-gray-200 flex items-center space-x-3 flex-shrink-0">
                 <button
                   onClick={() => {
                     setSelectedConversation(null);
+                    setSelectedGroup(null);
                     navigate('/messages');
                   }}
                   className="md:hidden p-2 text-gray-600 hover:text-gray-900"
@@ -207,11 +581,40 @@ function Messages() {
                         {selectedUser.firstName} {selectedUser.lastName}
                       </h3>
                       <p className="text-sm text-gray-600">
-                        {selectedUser.isOnline ? 'Online' : `Last seen ${formatDistanceToNow(new Date(selectedUser.lastSeen), { addSuffix: true })}`}
+                        {typingInChat.length > 0
+                          ? 'typing...'
+                          : isUserOnline(selectedUser._id, selectedUser.isOnline) ? 'Online' : `Last seen ${formatDistanceToNow(new Date(selectedUser.lastSeen), { addSuffix: true })}`}
                       </p>
                     </div>
                   </>
                 )}
+                {selectedGroupInfo && (
+                  <>
+                    <img
+                      src={selectedGroupInfo.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(selectedGroupInfo.name)}&background=6366f1&color=fff`}
+                      alt={selectedGroupInfo.name}
+                      className="avatar avatar-md"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <h3 className="font-semibold text-gray-900 truncate">
+                        {selectedGroupInfo.name}
+                      </h3>
+                      <p className="text-sm text-gray-600 truncate">
+                        {typingInChat.length > 0
+                          ? `${typingInChat.join(', ')} ${typingInChat.length === 1 ? 'is' : 'are'} typing...`
+                          : selectedGroupInfo.members.map(member => member.firstName).join(', ')}
+                      </p>
+                    </div>
+                    <button
+                      onClick={handleLeaveGroup}
+                      disabled={leaveGroupMutation.isLoading}
+                      className="p-2 text-gray-600 hover:text-red-600"
+                      title="Leave group"
+                    >
+                      <LogOut className="w-5 h-5" />
+                    </button>
+                  </>
+                )}
               </div>
 
               {/* Messages */}
@@ -241,12 +644,106 @@ function Messages() {
                               : 'bg-white text-gray-900'
                           }`}
                         >
-                          <p className="text-sm">{msg.content}</p>
+                          {selectedGroup && msg.sender._id !== currentUser.id && (
+                            <p className="text-xs font-semibold text-gray-500 mb-1">
+                              {msg.sender.firstName} {msg.sender.lastName}
+                            </p>
+                          )}
+                          {msg.messageType === 'image' && msg.fileUrl && (
+                            <a href={msg.fileUrl} target="_blank" rel="noopener noreferrer">
+                              <img
+                                src={msg.fileUrl}
+                                alt={msg.fileName || 'Attachment'}
+                                className="rounded-md max-h-64 mb-1"
+                              />
+                            </a>
+                          )}
+                          {msg.messageType === 'file' && msg.fileUrl && (
+                            <a
+                              href={msg.fileUrl}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              download={msg.fileName}
+                              className="flex items-center space-x-2 mb-1 underline"
+                            >
+                              <FileText className="w-5 h-5 flex-shrink-0" />
+                              <span className="text-sm truncate">{msg.fileName || 'Download file'}</span>
+                              {msg.fileSize > 0 && (
+                                <span className="text-xs whitespace-nowrap">{formatFileSize(msg.fileSize)}</span>
+                              )}
+                            </a>
+                          )}
+                          {msg.isUnsent ? (
+                            <p className="text-sm italic opacity-75">
+                              {msg.sender._id === currentUser.id ? 'You unsent a message' : 'This message was unsent'}
+                            </p>
+                          ) : editingMessageId === msg._id ? (
+                            <form onSubmit={(e) => handleEditSubmit(e, msg)} className="space-y-2">
+                              <input
+                                type="text"
+                                value={editText}
+                                onChange={(e) => setEditText(e.target.value)}
+                                maxLength={1000}
+                                className="w-full px-3 py-2 text-sm text-gray-900 bg-white rounded-lg focus:outline-none"
+                                autoFocus
+                              />
+                              <div className="flex justify-end space-x-2">
+                                <button
+                                  type="button"
+                                  onClick={() => setEditingMessageId(null)}
+                                  className="text-xs"
+                                >
+                                  Cancel
+                                </button>
+                                <button
+                                  type="submit"
+                                  disabled={(!editText.trim() && !msg.fileUrl) || editMessageMutation.isLoading}
+                                  className="text-xs font-semibold disabled:opacity-50"
+                                >
+                                  Save
+                                </button>
+                              </div>
+                            </form>
+                          ) : (
+                            msg.content && <p className="text-sm">{msg.content}</p>
+                          )}
                           <p className={`text-xs mt-1 ${
                             msg.sender._id === currentUser.id ? 'text-blue-100' : 'text-gray-500'
                           }`}>
                             {formatDistanceToNow(new Date(msg.createdAt), { addSuffix: true })}
+                            {msg.editedAt && !msg.isUnsent && (
+                              <span title={`Edited ${format(new Date(msg.editedAt), 'PPp')}`}> · edited</span>
+                            )}
                           </p>
+                          {editingMessageId !== msg._id && (
+                            <div className={`flex space-x-3 text-xs mt-1 ${
+                              msg.sender._id === currentUser.id ? 'text-blue-100' : 'text-gray-500'
+                            }`}>
+                              {canEditMessage(msg) && (
+                                <button onClick={() => handleEditStart(msg)} className="hover:underline">
+                                  Edit
+                                </button>
+                              )}
+                              {msg.sender._id === currentUser.id && !msg.isUnsent && (
+                                <button onClick={() => handleUnsend(msg._id)} className="hover:underline">
+                                  Unsend
+                                </button>
+                              )}
+                              <button onClick={() => handleDeleteForMe(msg._id)} className="hover:underline">
+                                Delete for me
+                              </button>
+                              {msg.sender._id !== currentUser.id && !msg.isUnsent && (
+                                <button onClick={() => setReportMessageId(msg._id)} className="hover:underline">
+                                  Report
+                                </button>
+                              )}
+                            </div>
+                          )}
+                          {!selectedGroup && msg.sender._id === currentUser.id && (
+                            <p className="text-xs text-blue-100 text-right">
+                              {getDeliveryStatus(msg)}
+                            </p>
+                          )}
                         </div>
                       </div>
                     ))}
@@ -257,13 +754,49 @@ function Messages() {
 
               {/* Message Input */}
               <div className="p-4 border-t border-gray-200 bg-white flex-shrink-0">
+                {attachment && (
+                  <div className="flex items-center justify-between mb-2 px-3 py-2 bg-gray-100 rounded-lg">
+                    <div className="flex items-center space-x-2 min-w-0">
+                      {attachment.mimeType.startsWith('image/') ? (
+                        <img src={attachment.fileUrl} alt={attachment.fileName} className="w-10 h-10 object-cover rounded" />
+                      ) : (
+                        <FileText className="w-5 h-5 text-gray-500 flex-shrink-0" />
+                      )}
+                      <span className="text-sm text-gray-700 truncate">{attachment.fileName}</span>
+                      <span className="text-xs text-gray-500 whitespace-nowrap">{formatFileSize(attachment.fileSize)}</span>
+                    </div>
+                    <button
+                      onClick={() => setAttachment(null)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Remove attachment"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
                 <div className="flex items-center space-x-3">
+                  <label
+                    className={`p-2 text-gray-500 hover:text-blue-600 cursor-pointer ${isUploading ? 'opacity-50 cursor-not-allowed' : ''}`}
+                    title="Attach a file"
+                  >
+                    {isUploading ? (
+                      <div className="w-5 h-5 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+                    ) : (
+                      <Paperclip className="w-5 h-5" />
+                    )}
+                    <input
+                      type="file"
+                      className="hidden"
+                      onChange={handleAttachmentChange}
+                      disabled={isUploading}
+                    />
+                  </label>
                   <div className="flex-1 relative">
                     <form onSubmit={handleSendMessage} className="flex items-center">
                       <input
                         type="text"
                         value={message}
-                        onChange={(e) => setMessage(e.target.value)}
+                        onChange={handleMessageChange}
                         placeholder="Type a message..."
                         className="w-full px-4 py-3 pr-12 bg-gray-100 border-0 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500 focus:bg-white transition-all duration-200"
                         autoComplete="off"
@@ -276,10 +809,10 @@ function Messages() {
                       />
                       <button
                         type="submit"
-                        disabled={!message.trim() || sendMessageMutation.isLoading}
+                        disabled={(!message.trim() && !attachment) || isSending || isUploading}
                         className="absolute right-1 p-2 text-blue-600 hover:text-blue-700 disabled:text-gray-400 disabled:cursor-not-allowed transition-colors duration-200"
                       >
-                        {sendMessageMutation.isLoading ? (
+                        {isSending ? (
                           <div className="w-5 h-5 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
                         ) : (
                           <Send className="w-5 h-5" />
@@ -304,6 +837,26 @@ function Messages() {
           )}
         </div>
       </div>
+
+      {/* Create Group Modal */}
+      {showCreateGroup && (
+        <CreateGroupModal
+          onClose={() => setShowCreateGroup(false)}
+          onCreated={(conversation) => {
+            setShowCreateGroup(false);
+            queryClient.invalidateQueries('conversations');
+            navigate(`/messages/group/${conversation._id}`);
+          }}
+        />
+      )}
+
+      {reportMessageId && (
+        <ReportModal
+          targetType="message"
+          targetId={reportMessageId}
+          onClose={() => setReportMessageId(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { Shield } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { moderationAPI } from '../utils/api';
+import ModerationReportCard from '../components/ModerationReportCard';
+
+const AUDIT_LABELS = {
+  assign: 'triaged a report',
+  dismiss: 'dismissed a report',
+  remove_content: 'removed content',
+  warn: 'warned',
+  suspend: 'suspended',
+  unsuspend: 'lifted the suspension of',
+  resolve: 'resolved a report',
+  change_role: 'changed the role of',
+};
+
+function Moderation() {
+  const { user } = useAuth();
+  const [activeTab, setActiveTab] = useState('active');
+  const isModerator = user?.role === 'moderator' || user?.role === 'admin';
+  const isAdmin = user?.role === 'admin';
+  const showingReports = activeTab !== 'audit';
+
+  const { data: reportsData, isLoading: reportsLoading } = useQuery(
+    ['moderationReports', activeTab],
+    () => moderationAPI.getReports({ status: activeTab }),
+    {
+      enabled: isModerator && showingReports,
+    }
+  );
+
+  const { data: auditData, isLoading: auditLoading } = useQuery(
+    'auditLog',
+    () => moderationAPI.getAuditLog(),
+    {
+      enabled: isAdmin && activeTab === 'audit',
+    }
+  );
+
+  if (!isModerator) {
+    return (
+      <div className="text-center py-12">
+        <Shield className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Moderators only</h3>
+        <p className="text-gray-600">You don't have access to this page.</p>
+      </div>
+    );
+  }
+
+  const reports = reportsData?.data?.reports || [];
+  const entries = auditData?.data?.entries || [];
+
+  const tabs = [
+    { id: 'active', name: 'Queue' },
+    { id: 'resolved', name: 'Resolved' },
+    { id: 'dismissed', name: 'Dismissed' },
+    ...(isAdmin ? [{ id: 'audit', name: 'Audit log' }] : []),
+  ];
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Moderation</h1>
+        <p className="text-gray-600">Review reported content and people</p>
+      </div>
+
+      {/* Tabs */}
+      <div className="mb-6">
+        <div className="border-b border-gray-200">
+          <nav className="-mb-px flex space-x-8">
+            {tabs.map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`btn ${
+                  activeTab === tab.id ? 'btn-primary' : 'btn-outline'
+                }`}
+              >
+                <span>{tab.name}</span>
+              </button>
+            ))}
+          </nav>
+        </div>
+      </div>
+
+      {/* Reports */}
+      {showingReports && (
+        reportsLoading ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : reports.length === 0 ? (
+          <div className="text-center py-12">
+            <Shield className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Nothing here</h3>
+            <p className="text-gray-600">
+              {activeTab === 'active' ? 'The queue is empty.' : 'No reports yet.'}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {reports.map((report) => (
+              <ModerationReportCard key={report._id} report={report} currentUser={user} />
+            ))}
+          </div>
+        )
+      )}
+
+      {/* Audit log */}
+      {activeTab === 'audit' && (
+        auditLoading ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-gray-600">No moderation actions yet.</p>
+          </div>
+        ) : (
+          <div className="card">
+            <div className="card-body space-y-3">
+              {entries.map((entry) => (
+                <div key={entry._id} className="text-sm text-gray-900">
+                  <span className="font-medium">
+                    {entry.moderator ? `${entry.moderator.firstName} ${entry.moderator.lastName}` : 'Deleted user'}
+                  </span>
+                  {' '}{AUDIT_LABELS[entry.action] || entry.action}
+                  {entry.targetUser && (
+                    <>
+                      {' '}
+                      <Link to={`/profile/${entry.targetUser._id}`} className="text-blue-600 hover:text-blue-500">
+                        {entry.targetUser.firstName} {entry.targetUser.lastName}
+                      </Link>
+                    </>
+                  )}
+                  {entry.details && <span className="text-gray-600"> · {entry.details}</span>}
+                  <span className="text-xs text-gray-500 ml-2">
+                    {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+export default Moderation;
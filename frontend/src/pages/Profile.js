@@ -1,11 +1,15 @@
-import React, { useState } from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
-import { Camera, Edit3, UserPlus, UserMinus, MessageCircle } from 'lucide-react';
-import { usersAPI, friendsAPI, postsAPI } from '../utils/api';
+import { Camera, Edit3, UserPlus, UserMinus, MessageCircle, Settings, Ban, BellOff, Bell, Flag, Shield } from 'lucide-react';
+import { usersAPI, friendsAPI, postsAPI, moderationAPI } from '../utils/api';
 import { useAuth } from '../contexts/AuthContext';
 import PostCard from '../components/PostCard';
 import EditProfileModal from '../components/EditProfileModal';
+import AccountSettingsModal from '../components/AccountSettingsModal';
+import ReportModal from '../components/ReportModal';
+import SuspendUserModal from '../components/SuspendUserModal';
+import TagRequestList from '../components/TagRequestList';
 import toast from 'react-hot-toast';
 
 function Profile() {
@@ -13,7 +17,17 @@ function Profile() {
   const { user: currentUser, updateUser } = useAuth();
   const queryClient = useQueryClient();
   const [showEditModal, setShowEditModal] = useState(false);
-  const [activeTab, setActiveTab] = useState('posts');
+  const [showAccountModal, setShowAccountModal] = useState(false);
+  const [showReportModal, setShowReportModal] = useState(false);
+  const [showSuspendModal, setShowSuspendModal] = useState(false);
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'posts');
+
+  // Notifications link straight to a tab, possibly while a profile is open
+  useEffect(() => {
+    const tab = searchParams.get('tab');
+    if (tab) setActiveTab(tab);
+  }, [searchParams]);
 
   const { data: profileData, isLoading: profileLoading } = useQuery(
     ['profile', id],
@@ -31,6 +45,14 @@ function Profile() {
     }
   );
 
+  const { data: taggedData, isLoading: taggedLoading } = useQuery(
+    ['taggedPosts', id],
+    () => postsAPI.getTaggedPosts(id),
+    {
+      enabled: !!id && activeTab === 'tagged'
+    }
+  );
+
   const { data: friendsData } = useQuery(
     ['userFriends', id],
     () => friendsAPI.getFriends(),
@@ -83,6 +105,49 @@ function Profile() {
     }
   );
 
+  const blockMutation = useMutation(
+    ({ userId, block }) => block ? usersAPI.blockUser(userId) : usersAPI.unblockUser(userId),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['profile', id]);
+        queryClient.invalidateQueries(['userPosts', id]);
+        queryClient.invalidateQueries('feed');
+        queryClient.invalidateQueries('blockedUsers');
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update block');
+      }
+    }
+  );
+
+  const muteMutation = useMutation(
+    ({ userId, mute }) => mute ? usersAPI.muteUser(userId) : usersAPI.unmuteUser(userId),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['profile', id]);
+        queryClient.invalidateQueries('feed');
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update mute');
+      }
+    }
+  );
+
+  const liftSuspensionMutation = useMutation(
+    (userId) => moderationAPI.liftSuspension(userId),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['profile', id]);
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to lift suspension');
+      }
+    }
+  );
+
   const handleAvatarUpload = (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -102,6 +167,12 @@ function Profile() {
     }
   };
 
+  const handleBlock = () => {
+    if (window.confirm('Block this user? You will no longer be friends and neither of you will see the other.')) {
+      blockMutation.mutate({ userId: id, block: true });
+    }
+  };
+
   if (profileLoading) {
     return (
       <div className="loading">
@@ -112,9 +183,15 @@ function Profile() {
 
   const profile = profileData?.data?.user;
   const posts = postsData?.data?.posts || [];
+  const taggedPosts = taggedData?.data?.posts || [];
   const friends = friendsData?.data?.friends || [];
   const isOwnProfile = profileData?.data?.isOwnProfile;
   const isFriend = profileData?.data?.isFriend;
+  const isBlocked = profileData?.data?.isBlocked;
+  const isMuted = profileData?.data?.isMuted;
+  // Only sent to moderators
+  const suspension = profileData?.data?.suspension;
+  const canModerate = currentUser?.role === 'moderator' || currentUser?.role === 'admin';
 
   if (!profile) {
     return (
@@ -163,17 +240,52 @@ function Profile() {
                 <span>{profile.friends?.length || 0} friends</span>
                 {profile.location && <span>{profile.location}</span>}
               </div>
+              {suspension && (
+                <div className="mt-3 flex items-center space-x-3 text-sm text-red-600">
+                  <span>
+                    {suspension.permanent
+                      ? 'Suspended permanently'
+                      : `Suspended until ${new Date(suspension.until).toLocaleString()}`}
+                    {suspension.reason && ` · ${suspension.reason}`}
+                  </span>
+                  <button
+                    onClick={() => liftSuspensionMutation.mutate(id)}
+                    disabled={liftSuspensionMutation.isLoading}
+                    className="btn btn-outline btn-sm"
+                  >
+                    Lift suspension
+                  </button>
+                </div>
+              )}
             </div>
 
             {/* Action Buttons */}
             <div className="flex space-x-2">
               {isOwnProfile ? (
+                <>
+                  <button
+                    onClick={() => setShowEditModal(true)}
+                    className="btn btn-outline"
+                  >
+                    <Edit3 className="w-4 h-4 mr-2" />
+                    Edit Profile
+                  </button>
+                  <button
+                    onClick={() => setShowAccountModal(true)}
+                    className="btn btn-outline"
+                    title="Account settings"
+                  >
+                    <Settings className="w-4 h-4" />
+                  </button>
+                </>
+              ) : isBlocked ? (
                 <button
-                  onClick={() => setShowEditModal(true)}
+                  onClick={() => blockMutation.mutate({ userId: id, block: false })}
+                  disabled={blockMutation.isLoading}
                   className="btn btn-outline"
                 >
-                  <Edit3 className="w-4 h-4 mr-2" />
-                  Edit Profile
+                  <Ban className="w-4 h-4 mr-2" />
+                  Unblock
                 </button>
               ) : (
                 <>
@@ -193,6 +305,14 @@ function Profile() {
                         <UserMinus className="w-4 h-4 mr-2" />
                         Remove Friend
                       </button>
+                      <button
+                        onClick={() => muteMutation.mutate({ userId: id, mute: !isMuted })}
+                        disabled={muteMutation.isLoading}
+                        className="btn btn-outline"
+                        title={isMuted ? 'Show their posts in your feed' : 'Hide their posts from your feed'}
+                      >
+                        {isMuted ? <Bell className="w-4 h-4" /> : <BellOff className="w-4 h-4" />}
+                      </button>
                     </>
                   ) : (
                     <button
@@ -203,6 +323,30 @@ function Profile() {
                       Add Friend
                     </button>
                   )}
+                  <button
+                    onClick={() => setShowReportModal(true)}
+                    className="btn btn-outline"
+                    title="Report"
+                  >
+                    <Flag className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={handleBlock}
+                    disabled={blockMutation.isLoading}
+                    className="btn btn-outline"
+                    title="Block"
+                  >
+                    <Ban className="w-4 h-4" />
+                  </button>
+                  {canModerate && !suspension && (
+                    <button
+                      onClick={() => setShowSuspendModal(true)}
+                      className="btn btn-outline"
+                      title="Suspend"
+                    >
+                      <Shield className="w-4 h-4" />
+                    </button>
+                  )}
                 </>
               )}
             </div>
@@ -220,6 +364,12 @@ function Profile() {
             >
               Posts
             </button>
+            <button
+              onClick={() => setActiveTab('tagged')}
+              className={`btn ${activeTab === 'tagged' ? 'btn-primary' : 'btn-outline'}`}
+            >
+              Tagged
+            </button>
             {isOwnProfile && (
               <button
                 onClick={() => setActiveTab('friends')}
@@ -254,8 +404,34 @@ function Profile() {
                 key={post._id}
                 post={post}
                 currentUser={currentUser}
-                onLike={() => {}}
-                onComment={() => {}}
+              />
+            ))
+          )}
+        </div>
+      )}
+
+      {activeTab === 'tagged' && (
+        <div className="space-y-6">
+          {isOwnProfile && <TagRequestList currentUser={currentUser} />}
+          {taggedLoading ? (
+            <div className="loading">
+              <div className="spinner"></div>
+            </div>
+          ) : taggedPosts.length === 0 ? (
+            <div className="text-center py-8">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                No tagged posts
+              </h3>
+              <p className="text-gray-600">
+                {isOwnProfile ? "Posts you're tagged in will show up here." : `Posts ${profile.firstName} is tagged in will show up here.`}
+              </p>
+            </div>
+          ) : (
+            taggedPosts.map((post) => (
+              <PostCard
+                key={post._id}
+                post={post}
+                currentUser={currentUser}
               />
             ))
           )}
@@ -300,6 +476,27 @@ function Profile() {
           }}
         />
       )}
+
+      {/* Account Settings Modal */}
+      {showAccountModal && (
+        <AccountSettingsModal onClose={() => setShowAccountModal(false)} />
+      )}
+
+      {showReportModal && (
+        <ReportModal
+          targetType="user"
+          targetId={id}
+          onClose={() => setShowReportModal(false)}
+        />
+      )}
+
+      {showSuspendModal && (
+        <SuspendUserModal
+          user={profile}
+          onClose={() => setShowSuspendModal(false)}
+          onSuspended={() => queryClient.invalidateQueries(['profile', id])}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,265 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { Monitor, Smartphone } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { authAPI, usersAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import AccountSettingsModal from '../components/AccountSettingsModal';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import AudienceListSettings from '../components/AudienceListSettings';
+import toast from 'react-hot-toast';
+
+// Rough "Browser on OS" label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  const os = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser || 'Unknown browser', os].filter(Boolean).join(' on ');
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+function Settings() {
+  const { user, updateUser } = useAuth();
+  const queryClient = useQueryClient();
+  const [showAccountModal, setShowAccountModal] = useState(false);
+
+  const { data: sessionsData, isLoading: sessionsLoading } = useQuery(
+    'sessions',
+    authAPI.getSessions
+  );
+
+  const { data: blockedData } = useQuery(
+    'blockedUsers',
+    usersAPI.getBlockedUsers
+  );
+
+  const tagApprovalMutation = useMutation(
+    (requireTagApproval) => usersAPI.updateProfile({ requireTagApproval }),
+    {
+      onSuccess: (response) => {
+        updateUser({ ...user, requireTagApproval: response.data.user.requireTagApproval });
+        toast.success('Tagging settings updated');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update tagging settings');
+      }
+    }
+  );
+
+  const unblockMutation = useMutation(
+    (userId) => usersAPI.unblockUser(userId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('blockedUsers');
+        toast.success('User unblocked');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to unblock user');
+      }
+    }
+  );
+
+  const revokeSessionMutation = useMutation(
+    (sessionId) => authAPI.revokeSession(sessionId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('sessions');
+        toast.success('Session signed out');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to sign out session');
+      }
+    }
+  );
+
+  const revokeOtherSessionsMutation = useMutation(
+    () => authAPI.revokeOtherSessions(),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('sessions');
+        toast.success('Signed out of all other sessions');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to sign out sessions');
+      }
+    }
+  );
+
+  const handleRevokeOthers = () => {
+    if (window.confirm('Sign out of every other device?')) {
+      revokeOtherSessionsMutation.mutate();
+    }
+  };
+
+  const sessions = sessionsData?.data?.sessions || [];
+  const hasOtherSessions = sessions.some(session => !session.isCurrent);
+  const blockedUsers = blockedData?.data?.users || [];
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Settings</h1>
+        <p className="text-gray-600">Manage your account and security</p>
+      </div>
+
+      {/* Account */}
+      <div className="card mb-6">
+        <div className="card-body flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Account</h2>
+            <p className="text-sm text-gray-600">Change your password or email, or delete your account</p>
+          </div>
+          <button
+            onClick={() => setShowAccountModal(true)}
+            className="btn btn-outline btn-sm"
+          >
+            Manage
+          </button>
+        </div>
+      </div>
+
+      {/* Two-factor authentication */}
+      <TwoFactorSettings />
+
+      {/* Sessions */}
+      <div className="card mb-6">
+        <div className="card-body">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Where you're signed in</h2>
+              <p className="text-sm text-gray-600">Sign out any device you don't recognise</p>
+            </div>
+            {hasOtherSessions && (
+              <button
+                onClick={handleRevokeOthers}
+                disabled={revokeOtherSessionsMutation.isLoading}
+                className="btn btn-outline btn-sm"
+              >
+                Sign out all others
+              </button>
+            )}
+          </div>
+
+          {sessionsLoading ? (
+            <div className="loading">
+              <div className="spinner"></div>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {sessions.map((session) => {
+                const DeviceIcon = isMobile(session.userAgent) ? Smartphone : Monitor;
+                return (
+                  <div key={session._id} className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3">
+                      <DeviceIcon className="w-6 h-6 text-gray-500" />
+                      <div>
+                        <p className="font-medium text-gray-900">
+                          {describeDevice(session.userAgent)}
+                          {session.isCurrent && (
+                            <span className="ml-2 text-xs text-green-600">This device</span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {session.ipAddress && `${session.ipAddress} · `}
+                          Last active {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}
+                        </p>
+                      </div>
+                    </div>
+                    {!session.isCurrent && (
+                      <button
+                        onClick={() => revokeSessionMutation.mutate(session._id)}
+                        disabled={revokeSessionMutation.isLoading}
+                        className="btn btn-outline btn-sm"
+                      >
+                        Sign out
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Tagging */}
+      <div className="card mb-6">
+        <div className="card-body">
+          <h2 className="text-lg font-semibold text-gray-900">Tagging</h2>
+          <label className="flex items-center space-x-2 text-sm text-gray-900 mt-2">
+            <input
+              type="checkbox"
+              // Accounts saved before this setting existed have it on
+              checked={user?.requireTagApproval !== false}
+              onChange={(e) => tagApprovalMutation.mutate(e.target.checked)}
+              disabled={tagApprovalMutation.isLoading}
+            />
+            <span>Review tags from people who aren't your friends before they appear</span>
+          </label>
+        </div>
+      </div>
+
+      <AudienceListSettings />
+
+      {/* Blocked users */}
+      <div className="card mb-6">
+        <div className="card-body">
+          <div className="mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Blocked users</h2>
+            <p className="text-sm text-gray-600">Blocked people can't find you, message you or see your posts</p>
+          </div>
+
+          {blockedUsers.length === 0 ? (
+            <p className="text-sm text-gray-500">You haven't blocked anyone</p>
+          ) : (
+            <div className="space-y-3">
+              {blockedUsers.map((blockedUser) => (
+                <div key={blockedUser._id} className="flex items-center justify-between">
+                  <Link to={`/profile/${blockedUser._id}`} className="flex items-center space-x-3">
+                    <img
+                      src={blockedUser.profilePicture || `https://ui-avatars.com/api/?name=${blockedUser.firstName}+${blockedUser.lastName}&background=818cf8&color=ffffff`}
+                      alt={`${blockedUser.firstName} ${blockedUser.lastName}`}
+                      className="avatar avatar-sm"
+                    />
+                    <span className="font-medium text-gray-900">
+                      {blockedUser.firstName} {blockedUser.lastName}
+                    </span>
+                  </Link>
+                  <button
+                    onClick={() => unblockMutation.mutate(blockedUser._id)}
+                    disabled={unblockMutation.isLoading}
+                    className="btn btn-outline btn-sm"
+                  >
+                    Unblock
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showAccountModal && (
+        <AccountSettingsModal onClose={() => setShowAccountModal(false)} />
+      )}
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,70 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const { user, updateUser } = useAuth();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so only ever submit once
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    authAPI.verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to verify email');
+      });
+  }, [token]);
+
+  // Reflect the new state for a signed-in user without a reload
+  useEffect(() => {
+    if (status === 'verified' && user && !user.isEmailVerified) {
+      updateUser({ ...user, isEmailVerified: true });
+    }
+  }, [status, user, updateUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8 text-center">
+        <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+          Email verification
+        </h2>
+
+        {status === 'verifying' && (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <div className="bg-green-50 border border-green-200 text-green-600 px-4 py-3 rounded-md">
+            Your email address has been verified.
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-md">
+            {message} {user && 'You can request a new link from the banner at the top of the app.'}
+          </div>
+        )}
+
+        <Link
+          to={user ? '/' : '/login'}
+          className="inline-block text-sm font-medium text-blue-600 hover:text-blue-500"
+        >
+          {user ? 'Continue to SnapTalk' : 'Go to sign in'}
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
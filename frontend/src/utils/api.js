@@ -24,15 +24,87 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle auth errors
+// Requests that must never trigger a token refresh
+const NO_REFRESH_URLS = [
+  '/auth/login',
+  '/auth/login/2fa',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email'
+];
+
+let refreshPromise = null;
+
+// Swap the refresh token for a new token pair. Concurrent callers share one
+// request so the refresh token is only rotated once.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .catch((error) => {
+        // Another tab may have rotated the shared refresh token first
+        const storedRefreshToken = localStorage.getItem('refreshToken');
+        if (storedRefreshToken && storedRefreshToken !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// Response interceptor to refresh expired access tokens
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.includes(originalRequest.url)
+    ) {
+      originalRequest._retry = true;
+
+      if (!localStorage.getItem('refreshToken')) {
+        clearSession();
+        window.location.href = '/login';
+        return Promise.reject(error);
+      }
+
+      try {
+        await refreshAccessToken();
+        return api(originalRequest);
+      } catch (refreshError) {
+        clearSession();
+        window.location.href = '/login';
+        return Promise.reject(refreshError);
+      }
+    }
+
+    // The account was suspended; signing in again explains why
+    if (error.response?.status === 403 && error.response.data?.suspension) {
+      clearSession();
       window.location.href = '/login';
     }
     return Promise.reject(error);
@@ -43,8 +115,22 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
+  loginTwoFactor: (data) => api.post('/auth/login/2fa', data),
   getMe: () => api.get('/auth/me'),
   logout: () => api.post('/auth/logout'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  changePassword: (currentPassword, newPassword) => api.put('/auth/password', { currentPassword, newPassword }),
+  changeEmail: (email, password) => api.put('/auth/email', { email, password }),
+  deleteAccount: (password) => api.delete('/auth/account', { data: { password } }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  confirmTwoFactor: (code) => api.post('/auth/2fa/confirm', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
 };
 
 // Users API
@@ -56,6 +142,11 @@ export const usersAPI = {
   }),
   searchUsers: (query, page = 1) => api.get(`/users/search?q=${query}&page=${page}`),
   getSuggestions: () => api.get('/users/suggestions'),
+  getBlockedUsers: () => api.get('/users/blocked'),
+  blockUser: (userId) => api.post(`/users/${userId}/block`),
+  unblockUser: (userId) => api.delete(`/users/${userId}/block`),
+  muteUser: (userId) => api.post(`/users/${userId}/mute`),
+  unmuteUser: (userId) => api.delete(`/users/${userId}/mute`),
 };
 
 // Friends API
@@ -73,21 +164,98 @@ export const postsAPI = {
   createPost: (formData) => api.post('/posts', formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
-  getFeed: (page = 1) => api.get(`/posts/feed?page=${page}`),
+  getFeed: (cursor, mode = 'latest') => api.get('/posts/feed', { params: { cursor, mode } }),
+  getNewFeedCount: (cursor) => api.get('/posts/feed/new-count', { params: { cursor } }),
   getUserPosts: (userId, page = 1) => api.get(`/posts/user/${userId}?page=${page}`),
-  likePost: (postId) => api.post(`/posts/${postId}/like`),
-  commentPost: (postId, content) => api.post(`/posts/${postId}/comment`, { content }),
+  getTaggedPosts: (userId, page = 1) => api.get(`/posts/tagged/${userId}?page=${page}`),
+  getTagRequests: () => api.get('/posts/tag-requests'),
+  approveTag: (postId) => api.post(`/posts/${postId}/tag/approve`),
+  removeTag: (postId) => api.delete(`/posts/${postId}/tag`),
+  reactToPost: (postId, type) => api.post(`/posts/${postId}/react`, { type }),
+  removeReaction: (postId) => api.delete(`/posts/${postId}/react`),
+  getReactions: (postId, type = null, page = 1) => api.get(`/posts/${postId}/reactions`, {
+    params: { type: type || undefined, page }
+  }),
+  getComments: (postId, page = 1) => api.get(`/posts/${postId}/comments?page=${page}`),
+  editPost: (postId, formData) => api.put(`/posts/${postId}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  getRevisions: (postId) => api.get(`/posts/${postId}/revisions`),
+  sharePost: (postId, data) => api.post(`/posts/${postId}/share`, data),
+  commentPost: (postId, content, parentId = null) => api.post(`/posts/${postId}/comment`, { content, parentId }),
+  editComment: (postId, commentId, content) => api.put(`/posts/${postId}/comments/${commentId}`, { content }),
+  deleteComment: (postId, commentId) => api.delete(`/posts/${postId}/comments/${commentId}`),
   deletePost: (postId) => api.delete(`/posts/${postId}`),
 };
 
+// Hashtags API
+export const hashtagsAPI = {
+  getPosts: (tag, cursor) => api.get(`/hashtags/${encodeURIComponent(tag)}`, { params: { cursor } }),
+};
+
+// Audience lists API
+export const audienceListsAPI = {
+  getLists: () => api.get('/audience-lists'),
+  createList: (listData) => api.post('/audience-lists', listData),
+  updateList: (listId, listData) => api.put(`/audience-lists/${listId}`, listData),
+  deleteList: (listId) => api.delete(`/audience-lists/${listId}`),
+};
+
 // Messages API
 export const messagesAPI = {
   sendMessage: (messageData) => api.post('/messages', messageData),
+  uploadAttachment: (formData) => api.post('/messages/attachments', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
   getConversations: () => api.get('/messages/conversations'),
   getMessages: (userId, page = 1) => api.get(`/messages/${userId}?page=${page}`),
   markAsRead: (messageId) => api.put(`/messages/${messageId}/read`),
+  editMessage: (messageId, content) => api.put(`/messages/${messageId}`, { content }),
   deleteMessage: (messageId) => api.delete(`/messages/${messageId}`),
+  deleteMessageForMe: (messageId) => api.delete(`/messages/${messageId}/me`),
   getUnreadCount: () => api.get('/messages/unread/count'),
 };
 
+// Notifications API
+export const notificationsAPI = {
+  getNotifications: (page = 1) => api.get(`/notifications?page=${page}`),
+  getUnreadCount: () => api.get('/notifications/unread/count'),
+  markAsRead: (notificationId) => api.put(`/notifications/${notificationId}/read`),
+  markAllAsRead: () => api.put('/notifications/read-all'),
+};
+
+// Group conversations API
+export const conversationsAPI = {
+  createGroup: (groupData) => api.post('/conversations', groupData),
+  getConversation: (conversationId) => api.get(`/conversations/${conversationId}`),
+  updateGroup: (conversationId, groupData) => api.put(`/conversations/${conversationId}`, groupData),
+  uploadAvatar: (conversationId, formData) => api.post(`/conversations/${conversationId}/avatar`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  addMembers: (conversationId, members) => api.post(`/conversations/${conversationId}/members`, { members }),
+  removeMember: (conversationId, userId) => api.delete(`/conversations/${conversationId}/members/${userId}`),
+  addAdmin: (conversationId, userId) => api.post(`/conversations/${conversationId}/admins/${userId}`),
+  removeAdmin: (conversationId, userId) => api.delete(`/conversations/${conversationId}/admins/${userId}`),
+  leave: (conversationId) => api.post(`/conversations/${conversationId}/leave`),
+  getMessages: (conversationId, page = 1) => api.get(`/conversations/${conversationId}/messages?page=${page}`),
+  sendMessage: (conversationId, messageData) => api.post(`/conversations/${conversationId}/messages`, messageData),
+};
+
+// Reports API
+export const reportsAPI = {
+  createReport: (reportData) => api.post('/reports', reportData),
+};
+
+// Moderation API (moderators and admins)
+export const moderationAPI = {
+  getReports: (params = {}) => api.get('/moderation/reports', { params }),
+  getReport: (reportId) => api.get(`/moderation/reports/${reportId}`),
+  updateReport: (reportId, data) => api.put(`/moderation/reports/${reportId}`, data),
+  resolveReport: (reportId, data) => api.post(`/moderation/reports/${reportId}/resolve`, data),
+  getAuditLog: (params = {}) => api.get('/moderation/audit-log', { params }),
+  setUserRole: (userId, role) => api.put(`/moderation/users/${userId}/role`, { role }),
+  suspendUser: (userId, data) => api.post(`/moderation/users/${userId}/suspension`, data),
+  liftSuspension: (userId) => api.delete(`/moderation/users/${userId}/suspension`),
+};
+
 export default api;
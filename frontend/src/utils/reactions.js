@@ -0,0 +1,11 @@
+// Reaction types supported by the API, in picker order
+export const REACTIONS = [
+  { type: 'like', emoji: '👍', label: 'Like' },
+  { type: 'love', emoji: '❤️', label: 'Love' },
+  { type: 'laugh', emoji: '😂', label: 'Haha' },
+  { type: 'wow', emoji: '😮', label: 'Wow' },
+  { type: 'sad', emoji: '😢', label: 'Sad' },
+  { type: 'angry', emoji: '😠', label: 'Angry' },
+];
+
+export const getReaction = (type) => REACTIONS.find(reaction => reaction.type === type);
@@ -0,0 +1,47 @@
+// Splits post and comment text into plain text, #hashtags and @mentions,
+// matching the parsing in backend/utils/textEntities.js. Only the users the
+// API resolved into `mentions` become links; any other "@Name" stays text.
+
+const MAX_HASHTAG_LENGTH = 50;
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+const isHashtag = (tag) => tag.length <= MAX_HASHTAG_LENGTH && !/^\d+$/.test(tag);
+
+export const splitRichText = (text = '', mentions = []) => {
+  // Longest names first so "@Ann Lee-Smith" wins over "@Ann Lee"
+  const names = mentions
+    .map(user => fullName(user))
+    .sort((a, b) => b.length - a.length)
+    .map(name => `@${escapeRegExp(name)}(?!${WORD_CHAR})`);
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}_&])(${[...names, `#${WORD_CHAR}+`].join('|')})`, 'giu');
+
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    const [, lead, token] = match;
+    const start = match.index + lead.length;
+    let segment = null;
+
+    if (token.startsWith('#')) {
+      const tag = token.slice(1).toLowerCase();
+      if (isHashtag(tag)) {
+        segment = { type: 'hashtag', text: token, tag };
+      }
+    } else {
+      const user = mentions.find(mention => `@${fullName(mention)}`.toLowerCase() === token.toLowerCase());
+      segment = user && { type: 'mention', text: token, user };
+    }
+
+    if (segment) {
+      if (start > last) segments.push({ type: 'text', text: text.slice(last, start) });
+      segments.push(segment);
+      last = start + token.length;
+    }
+  }
+  if (last < text.length) segments.push({ type: 'text', text: text.slice(last) });
+  return segments;
+};